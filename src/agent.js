@@ -1,33 +1,124 @@
+const fs = require('fs');
 const path = require('path');
-const dotenv = require('dotenv');
 const winston = require('winston');
 const io = require('socket.io-client');
 const { SerialPort } = require('serialport');
 const ComReader = require('./lib/ComReader');
 const TcpReader = require('./lib/TcpReader');
 const MessageParser = require('./lib/MessageParser');
+const MessageBuilder = require('./lib/MessageBuilder');
 const HttpClient = require('./lib/HttpClient');
 const QueueManager = require('./lib/QueueManager');
 const Heartbeat = require('./lib/Heartbeat');
+const TestCodeMapper = require('./lib/TestCodeMapper');
+const ReviewStore = require('./lib/ReviewStore');
+const DeadLetterStore = require('./lib/DeadLetterStore');
+const RawArchive = require('./lib/RawArchive');
+const DuplicateWindow = require('./lib/DuplicateWindow');
+const ControlServer = require('./lib/ControlServer');
+const ConfigValidator = require('./lib/ConfigValidator');
+const ConfigLoader = require('./lib/ConfigLoader');
+const DataCipher = require('./lib/DataCipher');
+const LogRedactor = require('./lib/LogRedactor');
+const AuditLog = require('./lib/AuditLog');
+const metrics = require('./lib/Metrics');
+const DriverRegistry = require('./drivers/DriverRegistry');
+
+// Load configuration: config/default.json, config/local.json and LIS_* environment
+// variables (including .env) - see ConfigLoader
+const configLoader = new ConfigLoader();
+
+/**
+ * Build and validate the effective configuration
+ * @returns {{ config: Object, warnings: string[], overrides: Array }} config with defaults applied
+ * @throws {Error} with a readable report when it is not valid
+ */
+const loadConfig = () => {
+  const result = configLoader.load();
+  if (result.errors.length > 0) {
+    throw new Error(ConfigValidator.format(result, 'configuration'));
+  }
+  return result;
+};
+
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const config = loaded.config;
+
+// Settings picked up by reloadConfig without a restart
+const RELOADABLE_SETTINGS = ['instruments', 'retry', 'connections', 'connection', 'reload', '_comment'];
+
+// connections[], or the legacy single `connection` entry
+const configuredConnections = (cfg) => (Array.isArray(cfg.connections) && cfg.connections.length > 0
+  ? cfg.connections
+  : (cfg.connection ? [cfg.connection] : []));
 
-// Load environment variables
-dotenv.config({ path: path.join(__dirname, '..', '.env') });
+const connectionKey = (conn) => conn.id || conn.serial?.port || conn.tcp?.port;
 
-// Load configuration
-const config = require('../config/default.json');
+// Test codes of backend patient results, for the audit log
+const resultTestCodes = (patients) => [...new Set(patients
+  .flatMap(p => (p.Orders || []).flatMap(o => (o.Results || []).map(r => r.UniversalTestID)))
+  .filter(Boolean))];
 
 class LISAgent {
   constructor() {
     this.config = config;
     this.logger = this.setupLogger();
+    loaded.warnings.forEach(warning => this.logger.warn(`Config: ${warning}`));
+    if (loaded.overrides.length > 0) {
+      this.logger.info('Configuration overrides applied', {
+        overrides: loaded.overrides.map(o => `${o.path} (${o.source})`)
+      });
+    }
     this.readers = [];
     this.parser = new MessageParser(this.logger);
+    this.builder = new MessageBuilder();
+    this.drivers = new DriverRegistry(this.logger);
+    this.drivers.loadDirectory(config.drivers?.directory);
+    this.testCodeMapper = new TestCodeMapper(config, this.logger);
+    try {
+      this.cipher = new DataCipher(config, this.logger);
+      if (this.cipher.enabled) {
+        this.logger.info('Encryption at rest enabled', { keyId: this.cipher.activeKeyId });
+      }
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    this.reviewStore = new ReviewStore(config, this.logger, { cipher: this.cipher });
     this.httpClient = new HttpClient(config, this.logger);
-    this.queueManager = new QueueManager(config, this.logger);
+    this.deadLetterStore = new DeadLetterStore(config, this.logger, { cipher: this.cipher });
+    this.rawArchive = new RawArchive(config, this.logger, { cipher: this.cipher });
+    this.duplicateWindow = new DuplicateWindow(config, this.logger);
+    this.auditLog = new AuditLog(config, this.logger);
+    this.queueManager = new QueueManager(config, this.logger, {
+      deadLetters: this.deadLetterStore,
+      reviewStore: this.reviewStore,
+      auditLog: this.auditLog,
+      cipher: this.cipher
+    });
     this.heartbeat = new Heartbeat(config, this.logger);
+    this.controlServer = config.control?.enabled !== false ? new ControlServer(config, this.logger, this) : null;
+    this.startedAt = new Date();
+    this.lastMessages = new Map(); // instrumentId -> last message received
+    this.stats = {
+      messagesReceived: 0,
+      parseErrors: 0,
+      duplicatesSuppressed: 0,
+      sent: 0,
+      sendErrors: 0
+    };
     this.isRunning = false;
     this.socket = null;
     this.portMonitorInterval = null;
+    this.replayInterval = null;
+    this.watchedFiles = [];
+    this.reloading = null;
     this.lastKnownPorts = [];
   }
 
@@ -38,6 +129,7 @@ class LISAgent {
         winston.format.timestamp(),
         winston.format.errors({ stack: true }),
         winston.format.splat(),
+        new LogRedactor(config.logging.redaction).format(),
         winston.format.json()
       ),
       transports: [
@@ -58,9 +150,7 @@ class LISAgent {
 
   async start() {
     try {
-      const connections = Array.isArray(this.config.connections) && this.config.connections.length > 0
-        ? this.config.connections
-        : (this.config.connection ? [this.config.connection] : []);
+      const connections = configuredConnections(this.config);
 
       if (connections.length === 0) {
         throw new Error('No connections configured. Please define connections[] or connection.');
@@ -71,36 +161,19 @@ class LISAgent {
       });
 
       for (const conn of connections) {
-        let reader;
-        if (conn.type === 'serial') {
-          reader = new ComReader(conn.serial, this.logger);
-        } else if (conn.type === 'tcp') {
-          reader = new TcpReader(conn.tcp, this.logger);
-        } else {
-          throw new Error(`Unknown connection type: ${conn.type}`);
-        }
-
-        reader.on('data', (rawData) => {
-          this.handleDataWithContext(rawData, conn.instrumentId || this.config.instrument?.id, conn.id || conn.serial?.port || conn.tcp?.port);
-        });
-
-        reader.on('error', (error) => {
-          this.logger.error(`Reader error (${conn.id || conn.serial?.port || conn.tcp?.port}):`, error);
-        });
-
-        reader.on('disconnect', () => {
-          this.logger.warn(`Instrument disconnected (${conn.id || conn.serial?.port || conn.tcp?.port})`);
-        });
-
-        await reader.connect();
-        this.readers.push({ id: conn.id, instrumentId: conn.instrumentId || this.config.instrument?.id, reader });
-        this.logger.info('Instrument connected successfully', { connectionId: conn.id || conn.serial?.port || conn.tcp?.port });
+        await this.startConnection(conn);
       }
 
       // Start queue processor
-      this.queueManager.start(async (data) => {
-        return await this.sendToServer(data);
+      this.queueManager.on('paused', ({ reason, until }) => {
+        this.raiseAlert('delivery_paused', `Result delivery paused: ${reason}`, {
+          until: Number.isFinite(until) ? new Date(until).toISOString() : null
+        });
       });
+      this.queueManager.on('resumed', () => {
+        this.logger.info('Result delivery resumed');
+      });
+      this.queueManager.start((data, item) => this.sendToServer(data, item.context));
 
       // Start heartbeat
       if (this.config.heartbeat.enabled) {
@@ -110,9 +183,22 @@ class LISAgent {
       // Start processing queued items
       this.processQueue();
 
+      // Pick up replays requested through the archive CLI
+      this.replayInterval = setInterval(() => this.processReplayRequests(), 2000);
+
       // Connect to backend Socket.IO for real-time updates (optional)
       this.connectToSocketServer();
 
+      if (this.controlServer) {
+        this.controlServer.start().catch(error => {
+          this.logger.error('Failed to start control API:', error.message);
+        });
+      }
+
+      if (this.config.reload?.watch !== false) {
+        this.watchConfig();
+      }
+
       this.isRunning = true;
       this.logger.info('Agent started successfully');
 
@@ -122,6 +208,148 @@ class LISAgent {
     }
   }
 
+  /**
+   * Create and open the reader for one connections[] entry
+   */
+  async startConnection(conn) {
+    const connectionId = connectionKey(conn);
+    const instrumentId = conn.instrumentId || this.config.instrument?.id;
+    const driver = this.resolveDriver(conn, instrumentId);
+    let reader;
+    if (conn.type === 'serial') {
+      reader = new ComReader(conn.serial, this.logger, { driver, connectionId });
+    } else if (conn.type === 'tcp') {
+      reader = new TcpReader(conn.tcp, this.logger, { driver, connectionId });
+    } else {
+      throw new Error(`Unknown connection type: ${conn.type}`);
+    }
+
+    reader.on('data', (rawData) => {
+      this.handleDataWithContext(rawData, instrumentId, connectionId);
+    });
+
+    reader.on('error', (error) => {
+      this.logger.error(`Reader error (${connectionId}):`, error);
+    });
+
+    reader.on('disconnect', () => {
+      this.logger.warn(`Instrument disconnected (${connectionId})`);
+    });
+
+    await reader.connect();
+    const entry = { id: connectionId, instrumentId, driver, reader, conn };
+    this.readers.push(entry);
+    this.logger.info('Instrument connected successfully', { connectionId, driver: driver.type });
+    return entry;
+  }
+
+  /**
+   * Close one connection's reader and forget it. Unless forced, waits (up to
+   * reload.drainTimeoutMs) for a message in flight to complete first.
+   */
+  async stopConnection(entry, { force = false } = {}) {
+    const drainTimeoutMs = this.config.reload?.drainTimeoutMs ?? 30000;
+    const deadline = Date.now() + drainTimeoutMs;
+
+    while (!force && entry.reader.isBusy() && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    if (entry.reader.isBusy()) {
+      this.logger.warn(`Closing connection ${entry.id} with a message still in flight`);
+    }
+
+    this.readers = this.readers.filter(r => r !== entry);
+    await entry.reader.disconnect();
+    entry.reader.removeAllListeners('data');
+    this.logger.info('Connection stopped', { connectionId: entry.id });
+  }
+
+  /**
+   * Bring the running readers in line with the configured connections: start new
+   * entries, stop removed ones, restart those whose settings (or resolved driver)
+   * changed. Untouched connections keep their session.
+   */
+  async applyConnectionChanges() {
+    const connections = configuredConnections(this.config);
+    const wanted = new Map(connections.map(conn => [String(connectionKey(conn)), conn]));
+    const result = { started: [], stopped: [], restarted: [], failed: [] };
+
+    for (const entry of [...this.readers]) {
+      const conn = wanted.get(String(entry.id));
+      if (!conn) {
+        await this.stopConnection(entry);
+        result.stopped.push(entry.id);
+        continue;
+      }
+
+      const instrumentId = conn.instrumentId || this.config.instrument?.id;
+      const unchanged = JSON.stringify(conn) === JSON.stringify(entry.conn)
+        && instrumentId === entry.instrumentId
+        && this.resolveDriver(conn, instrumentId).type === entry.driver.type;
+      if (unchanged) continue;
+
+      await this.stopConnection(entry);
+      try {
+        await this.startConnection(conn);
+        result.restarted.push(entry.id);
+      } catch (error) {
+        this.logger.error(`Failed to restart connection ${entry.id}:`, error.message);
+        result.failed.push({ id: entry.id, error: error.message });
+      }
+    }
+
+    for (const [id, conn] of wanted) {
+      if (this.readers.some(r => String(r.id) === id) || result.failed.some(f => String(f.id) === id)) continue;
+      try {
+        await this.startConnection(conn);
+        result.started.push(connectionKey(conn));
+      } catch (error) {
+        this.logger.error(`Failed to start connection ${id}:`, error.message);
+        result.failed.push({ id: connectionKey(conn), error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Reload the configuration when one of its files (default.json, local.json, .env)
+   * changes. Polls mtimes (reload.intervalMs) - fs.watch misses editors that replace the file.
+   */
+  watchConfig() {
+    const intervalMs = this.config.reload?.intervalMs || 2000;
+    this.watchedFiles = configLoader.files();
+    for (const file of this.watchedFiles) {
+      fs.watchFile(file, { interval: intervalMs }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        this.logger.info(`Configuration file changed (${path.basename(file)}) - reloading`);
+        this.reloadConfig().catch(error => {
+          this.logger.error('Configuration reload failed - keeping the current settings:', error.message);
+        });
+      });
+    }
+  }
+
+  /**
+   * Driver named by the connection, else the one matching the instrument type, else generic
+   */
+  resolveDriver(conn, instrumentId) {
+    if (conn.driver) {
+      if (!this.drivers.has(conn.driver)) {
+        this.logger.warn(`Unknown driver "${conn.driver}" for connection ${conn.id} - using generic driver`);
+      }
+      return this.drivers.get(conn.driver);
+    }
+
+    const instrument = (this.config.instruments || []).find(i => i.id === instrumentId);
+    return this.drivers.get(instrument?.type);
+  }
+
+  getConnectionDriver(connectionId) {
+    const entry = this.readers.find(r => r.id === connectionId);
+    return entry?.driver || this.drivers.get();
+  }
+
   connectToSocketServer() {
     const socketUrl = this.config.server.url || 'http://localhost:3000';
     this.socket = io(socketUrl, {
@@ -259,55 +487,373 @@ class LISAgent {
       }
 
       // Send to server or queue
-      this.sendOrQueue(payload);
+      this.sendOrQueue(payload, { raw: rawData });
 
     } catch (error) {
       this.logger.error('Error handling data:', error);
     }
   }
 
-  handleDataWithContext(rawData, instrumentId, connectionId) {
+  /**
+   * The HL7 ACK goes out once the results are sent, queued or held for review; AE when
+   * they could not be stored, so the instrument sends them again.
+   * @param {Object} [options] - { replayOf, replayRequestId, requestedBy } when re-processing an
+   *   archived message: nothing is sent back to the instrument (no HL7 ACK, no host query reply)
+   */
+  async handleDataWithContext(rawData, instrumentId, connectionId, options = {}) {
+    const replay = !!options.replayOf;
+    const acknowledge = (parsed, code, text) => {
+      if (!replay) this.acknowledgeHL7(connectionId, parsed, code, text);
+    };
+
     try {
-      this.logger.info('Received data from instrument', {
+      this.logger.info(replay ? 'Replaying archived message' : 'Received data from instrument', {
         size: rawData.length,
         instrumentId,
-        connectionId
+        connectionId,
+        replayOf: options.replayOf
       });
 
-      const parsedData = this.parser.parse(rawData);
+      const driver = this.getConnectionDriver(connectionId);
+      let parsedData = null;
+      try {
+        parsedData = this.parser.parse(rawData, driver);
+      } catch (error) {
+        this.logger.error('Error parsing message:', error);
+      }
+
+      // Archive before anything can go wrong downstream, parsed or not
+      const specimenIds = this.messageSpecimenIds(parsedData);
+      const archiveId = this.rawArchive.append({
+        raw: rawData,
+        connectionId,
+        instrumentId,
+        specimenIds,
+        replayOf: options.replayOf
+      });
+
+      const audit = (event, fields = {}) => this.auditLog.record(event, {
+        archiveId,
+        instrumentId,
+        connectionId,
+        specimenIds,
+        ...fields
+      });
+      audit('received', {
+        actor: replay ? (options.requestedBy ? `user:${options.requestedBy}` : 'operator') : 'agent',
+        details: { bytes: rawData.length, replayOf: options.replayOf || null }
+      });
+
+      if (!replay) {
+        this.stats.messagesReceived++;
+        metrics.messagesReceived.inc({ connection: String(connectionId) });
+        this.lastMessages.set(instrumentId, {
+          receivedAt: new Date().toISOString(),
+          connectionId,
+          size: rawData.length,
+          recordType: parsedData?.recordType || null,
+          specimenIds
+        });
+      }
+
       if (!parsedData) {
+        this.stats.parseErrors++;
         this.logger.warn('Failed to parse message');
+        audit('parse_failed');
+        acknowledge(null, 'AR', 'Message could not be parsed');
+        return;
+      }
+
+      if (parsedData.recordType === 'HL7' && !this.isHL7ResultMessage(parsedData)) {
+        this.logger.warn('Unsupported HL7 message type', { connectionId });
+        acknowledge(parsedData, 'AR', 'Unsupported message type');
+        return;
+      }
+
+      const queryRecords = Array.isArray(parsedData.records)
+        ? parsedData.records.filter(r => r.type === 'query')
+        : [];
+      if (queryRecords.length > 0) {
+        if (replay) {
+          this.logger.info('Replayed message is a host query - not answered', { replayOf: options.replayOf });
+          return;
+        }
+        this.handleHostQuery(queryRecords, instrumentId, connectionId);
         return;
       }
 
       const patientRecord = Array.isArray(parsedData.records)
         ? parsedData.records.find(r => r.type === 'patient')
         : null;
+      const messageId = this.computeMessageId(parsedData, instrumentId);
       this.logger.info('Parsed message', {
         recordType: parsedData.recordType,
         sampleId: parsedData.sampleId,
         patientName: patientRecord?.name || '',
         instrumentId,
-        connectionId
+        connectionId,
+        messageId
       });
+      audit('parsed', { messageId, details: { recordType: parsedData.recordType, driver: driver?.type || null } });
+
+      // Instrument resent results we already accepted (e.g. our ACK was lost) - ACK again, don't forward
+      if (!replay && this.duplicateWindow.has(messageId)) {
+        this.logger.warn('Duplicate transmission suppressed', { messageId, instrumentId, connectionId });
+        this.stats.duplicatesSuppressed++;
+        audit('duplicate_suppressed', { messageId });
+        acknowledge(parsedData, 'AA');
+        return;
+      }
 
-      const payload = this.transformToBackendFormatWithInstrument(parsedData, instrumentId);
+      const payload = this.transformToBackendFormatWithInstrument(parsedData, instrumentId, driver);
       if (!payload) {
         this.logger.warn('Failed to transform data to backend format');
+        audit('transform_failed', { messageId });
+        acknowledge(parsedData, 'AE', 'Missing required segments or specimen ID');
         return;
       }
 
-      this.sendOrQueue(payload);
+      // A replay is a deliberate resend: the backend must not drop it as a retry of the original
+      const idempotencyKey = replay ? `${messageId}:replay:${options.replayRequestId || archiveId}` : undefined;
+      const { patients, held, rejected } = this.applyTestCodeMapping(payload, instrumentId, connectionId, {
+        messageId,
+        idempotencyKey,
+        archiveId,
+        raw: rawData
+      });
+
+      if (patients.length > 0) {
+        const outcome = await this.sendOrQueue(patients, { raw: rawData, instrumentId, connectionId, messageId, idempotencyKey });
+        if (!outcome.sent && !outcome.queued && !outcome.setAside) {
+          // Not stored anywhere - only a resend from the instrument can recover the results
+          acknowledge(parsedData, 'AE', 'Results could not be queued');
+          return;
+        }
+      }
+
+      // Results are delivered, queued or held for review - safe to accept, except
+      // results rejected for unmapped test codes
+      if (rejected.length > 0) {
+        const text = `Unmapped test codes rejected: ${resultTestCodes(rejected).join(', ')}`;
+        acknowledge(parsedData, patients.length === 0 && held.length === 0 ? 'AR' : 'AE', text);
+      } else {
+        acknowledge(parsedData, 'AA');
+      }
+      // A fully rejected message is not accepted - let a corrected resend through
+      if (patients.length > 0 || held.length > 0) {
+        this.duplicateWindow.remember(messageId);
+      }
     } catch (error) {
       this.logger.error('Error handling data:', error);
     }
   }
 
-  transformToBackendFormat(parsedData) {
+  /**
+   * Specimen ids a parsed message refers to (orders, queries, HL7 OBR), for archive search
+   */
+  messageSpecimenIds(parsedData) {
+    if (!parsedData) return [];
+    const ids = (parsedData.records || [])
+      .filter(r => r.type === 'order' || r.type === 'query')
+      .map(r => r.specimenId);
+    return [...new Set([parsedData.sampleId, ...ids].filter(Boolean))];
+  }
+
+  /**
+   * Stable id of a result message (see DuplicateWindow.messageId). Sent to the backend as
+   * the idempotency key and used for duplicate suppression.
+   * @returns {string|null} null when the message carries no results
+   */
+  computeMessageId(parsedData, instrumentId) {
+    return DuplicateWindow.messageId(parsedData, instrumentId);
+  }
+
+  /**
+   * Feed replay requests from the archive CLI back through the normal pipeline
+   */
+  processReplayRequests() {
+    try {
+      this.rawArchive.handleReplayRequests(entry => {
+        this.handleDataWithContext(entry.raw, entry.instrumentId, entry.connectionId, {
+          replayOf: entry.id,
+          replayRequestId: entry.requestId,
+          requestedBy: entry.requestedBy
+        });
+      });
+    } catch (error) {
+      this.logger.error('Failed to process archive replay requests:', error.message);
+    }
+  }
+
+  /**
+   * Translate instrument test codes to LIS codes; unmapped results are forwarded,
+   * held in the review store or rejected according to the instrument's policy
+   * @param {Object} [context] - { messageId, archiveId } for the audit log, { raw, idempotencyKey } kept with held results
+   * @returns {{ patients: Array, held: Array, rejected: Array }} patients are the results to send
+   */
+  applyTestCodeMapping(patients, instrumentId, connectionId, context = {}) {
+    const mapped = this.testCodeMapper.mapPatients(patients, instrumentId);
+    const audit = (event, group, details) => this.auditLog.record(event, {
+      messageId: context.messageId,
+      archiveId: context.archiveId,
+      instrumentId,
+      connectionId,
+      specimenIds: AuditLog.specimenIdsOf(group),
+      details
+    });
+
+    audit('transformed', patients, {
+      testCodes: resultTestCodes(patients),
+      forwardedTestCodes: resultTestCodes(mapped.patients),
+      mappingPolicy: mapped.policy
+    });
+
+    // One review entry per patient, so a store failure only affects that patient's results
+    for (const patient of mapped.held) {
+      const testCodes = resultTestCodes([patient]);
+      try {
+        const reviewId = this.reviewStore.add({
+          reason: 'unmapped_test_codes',
+          instrumentId,
+          connectionId,
+          payload: [patient],
+          details: {
+            raw: context.raw || null,
+            messageId: context.messageId || null,
+            idempotencyKey: context.idempotencyKey || null,
+            testCodes
+          }
+        });
+        audit('held_for_review', [patient], { reason: 'unmapped_test_codes', reviewId, testCodes });
+      } catch (error) {
+        this.logger.error('Failed to hold results for review - moving them to dead letters:', error.message);
+        this.deadLetterUnmapped(patient, instrumentId, connectionId, context, error, audit);
+      }
+    }
+    if (mapped.rejected.length > 0) {
+      this.logger.error('Results with unmapped test codes rejected', {
+        instrumentId,
+        specimenIds: AuditLog.specimenIdsOf(mapped.rejected)
+      });
+      audit('rejected', mapped.rejected, { reason: 'unmapped_test_codes', testCodes: resultTestCodes(mapped.rejected) });
+    }
+
+    return { patients: mapped.patients, held: mapped.held, rejected: mapped.rejected };
+  }
+
+  /**
+   * Fallback for held results the review store could not take
+   */
+  deadLetterUnmapped(patient, instrumentId, connectionId, context, error, audit) {
+    try {
+      const deadLetterId = this.deadLetterStore.add('review_failed', {
+        lastError: `Review store unavailable: ${error.message}`,
+        context: {
+          raw: context.raw,
+          instrumentId,
+          connectionId,
+          messageId: context.messageId,
+          idempotencyKey: context.idempotencyKey
+        },
+        data: [patient]
+      });
+      audit('dead_lettered', [patient], { reason: 'review_failed', deadLetterId, error: AuditLog.errorText(error) });
+    } catch (storeError) {
+      this.raiseAlert('results_lost', 'Results with unmapped test codes could not be stored for review or as dead letters', {
+        instrumentId,
+        specimenIds: AuditLog.specimenIdsOf(patient),
+        error: storeError.message
+      });
+      audit('dropped', [patient], { reason: 'review_failed', error: AuditLog.errorText(storeError) });
+    }
+  }
+
+  isHL7ResultMessage(parsedData) {
+    return parsedData.get('MSH-9.1') === 'ORU';
+  }
+
+  /**
+   * Reply with an HL7 ACK on connections using MLLP framing so the analyzer
+   * stops retransmitting (no-op for ASTM/raw connections)
+   */
+  acknowledgeHL7(connectionId, parsedData, ackCode, text = '') {
+    const entry = this.readers.find(r => r.id === connectionId);
+    if (!entry || !entry.reader.useMllp) return;
+
+    const ack = this.builder.buildHL7Ack(parsedData, ackCode, text);
+    entry.reader.send(ack)
+      .then(() => this.logger.info('HL7 ACK sent', { ackCode, connectionId }))
+      .catch(error => this.logger.error(`Failed to send HL7 ACK (${connectionId}):`, error.message));
+  }
+
+  /**
+   * Answer an instrument worklist query (ASTM Q records) with the pending orders
+   * fetched from the backend, transmitted back over the same connection
+   */
+  async handleHostQuery(queryRecords, instrumentId, connectionId) {
+    const entry = this.readers.find(r => r.id === connectionId);
+    if (!entry) {
+      this.logger.warn('Host query received on unknown connection', { connectionId });
+      return;
+    }
+
+    const specimenIds = queryRecords.map(q => q.specimenId).filter(Boolean);
+    this.logger.info('Host query received from instrument', { specimenIds, instrumentId, connectionId });
+
+    let patients = [];
+    let terminationCode = 'N';
+    try {
+      patients = await this.fetchPendingOrders(specimenIds, instrumentId);
+      if (patients.length === 0) {
+        terminationCode = 'I'; // No information available for the queried specimens
+      }
+    } catch (error) {
+      this.logger.error('Failed to fetch pending orders:', error.message);
+      terminationCode = 'E';
+    }
+
+    try {
+      const reply = this.builder.buildAstmOrderResponse(patients, terminationCode);
+      await entry.reader.send(reply);
+      this.logger.info('Host query answered', { specimenIds, orderCount: patients.length, terminationCode, connectionId });
+    } catch (error) {
+      this.logger.error(`Failed to send host query reply (${connectionId}):`, error.message);
+    }
+  }
+
+  async fetchPendingOrders(specimenIds, instrumentId) {
+    const endpoint = this.config.server.endpoints?.orders || '/api/instruments/orders';
+    const patients = [];
+    for (const specimenId of specimenIds) {
+      let data;
+      try {
+        data = await this.httpClient.get(endpoint, { params: { specimenId, instrumentId } });
+      } catch (error) {
+        if (error.status !== 404) throw error;
+        data = null; // Backend has no orders for this specimen
+      }
+      const list = Array.isArray(data) ? data : (data ? [data] : []);
+      patients.push(...list.filter(p => Array.isArray(p.Orders) && p.Orders.length > 0));
+    }
+
+    // Backend speaks LIS test codes - translate back to the instrument's own codes
+    return patients.map(p => ({
+      ...p,
+      Orders: p.Orders.map(o => ({
+        ...o,
+        Tests: (Array.isArray(o.Tests) ? o.Tests : [o.UniversalTestID])
+          .filter(Boolean)
+          .map(code => this.testCodeMapper.toInstrumentCode(instrumentId, code))
+      }))
+    }));
+  }
+
+  transformToBackendFormat(parsedData, driver = this.drivers.get()) {
     try {
       // Handle HL7 format
       if (parsedData.recordType === 'HL7') {
-        return this.transformHL7ToBackendFormat(parsedData);
+        const payload = this.transformHL7ToBackendFormat(parsedData, driver);
+        return payload ? [payload] : null;
       }
 
       // Handle ASTM format
@@ -323,91 +869,127 @@ class LISAgent {
     }
   }
 
+  /**
+   * One backend patient object per P record, each carrying its own orders and results
+   * @returns {Array|null} Patient payloads for the results endpoint
+   */
   transformASTMToBackendFormat(parsedData) {
-    // Extract patient data from records
-    const patientRecord = parsedData.records.find(r => r.type === 'patient');
-    const orderRecord = parsedData.records.find(r => r.type === 'order');
-    const resultRecords = parsedData.records.filter(r => r.type === 'result');
-    const headerRecord = parsedData.records.find(r => r.type === 'header');
+    const patients = [];
+    // parsedData.sampleId comes from the first O record (or P record), so it only
+    // identifies an order's specimen when the transmission has a single order
+    const orderCount = (parsedData.messages || [])
+      .flatMap(message => message.patients.flatMap(patient => patient.orders))
+      .filter(order => order.results.length > 0).length;
+
+    for (const message of parsedData.messages || []) {
+      const headerRecord = message.header;
+
+      for (const patientRecord of message.patients) {
+        const orders = [];
+
+        for (const orderRecord of patientRecord.orders) {
+          if (orderRecord.results.length === 0) continue;
+
+          const specimenId = orderRecord.specimenId || (orderCount === 1 ? parsedData.sampleId : '') || '';
+          if (!specimenId) {
+            this.logger.warn('Missing specimen ID in ASTM order - results skipped', {
+              patientSequence: patientRecord.sequence,
+              sequence: orderRecord.sequence,
+              testCodes: orderRecord.results.map(r => r.testCode).filter(Boolean)
+            });
+            continue;
+          }
 
-    if (!orderRecord || !resultRecords || resultRecords.length === 0) {
-      this.logger.warn('Incomplete ASTM data: missing order or results');
-      return null;
+          orders.push({
+            SpecimenID: specimenId,
+            // Test codes are extracted by the parser using the delimiters declared in the header
+            UniversalTestID: orderRecord.testCodes?.[0] || '',
+            Priority: orderRecord.priority || '',
+            CollectionDate: headerRecord?.timestamp || new Date().toISOString().split('T')[0].replace(/-/g, ''),
+            CollectionTime: new Date().toTimeString().split(' ')[0].replace(/:/g, ''),
+            Comments: this.transformASTMComments(orderRecord),
+            Results: orderRecord.results.map(r => ({
+              UniversalTestID: r.testCode || '',
+              ResultValue: r.value || '',
+              Unit: r.unit || '',
+              RefRange: r.referenceRange || '',
+              Abnormal: r.flag || '',
+              Comments: this.transformASTMComments(r)
+            }))
+          });
+        }
+
+        if (orders.length === 0) continue;
+
+        patients.push({
+          PracticePatientID: patientRecord.practiceId || '',
+          LabPatientID: patientRecord.labId || '',
+          PatientName: patientRecord.name || '',
+          DOB: patientRecord.dob || '',
+          Sex: patientRecord.sex || '',
+          Orders: orders
+        });
+      }
     }
 
-    // Extract specimen ID with proper fallback
-    const specimenId = orderRecord?.specimenId || parsedData.sampleId || '';
-    
-    if (!specimenId) {
-      this.logger.warn('Missing specimen ID in ASTM message');
+    if (patients.length === 0) {
+      this.logger.warn('Incomplete ASTM data: missing order or results');
       return null;
     }
 
-    // Helper: normalize ASTM code like ^^^TSH^1 -> TSH
-    const normalizeAstmTestId = (code) => {
-      if (!code) return '';
-      const parts = String(code).split('^');
-      // Typical ASTM Universal Test ID: ^^^CODE^...
-      return parts.filter(Boolean)[0] ? parts.filter(Boolean)[0] : (parts[3] || parts[2] || code).replace(/\s+/g, '');
-    };
+    this.logger.debug('Transformed ASTM payload:', {
+      patientCount: patients.length,
+      specimenIds: patients.flatMap(p => p.Orders.map(o => o.SpecimenID))
+    });
+    return patients;
+  }
 
-    // Transform to backend expected format
-    const payload = {
-      PracticePatientID: patientRecord?.practiceId || '',
-      LabPatientID: patientRecord?.labId || '',
-      PatientName: patientRecord?.name || '',
-      DOB: patientRecord?.dob || '',
-      Sex: patientRecord?.sex || '',
-      Orders: [{
-        SpecimenID: specimenId,
-        UniversalTestID: normalizeAstmTestId(orderRecord?.testId || ''),
-        Priority: orderRecord?.priority || '',
-        CollectionDate: headerRecord?.timestamp || new Date().toISOString().split('T')[0].replace(/-/g, ''),
-        CollectionTime: new Date().toTimeString().split(' ')[0].replace(/:/g, ''),
-        Results: resultRecords.map(r => ({
-          UniversalTestID: normalizeAstmTestId(r.testId || ''),
-          ResultValue: r.value || '',
-          Unit: r.unit || '',
-          RefRange: r.referenceRange || '',
-          Abnormal: r.flag || ''
-        }))
-      }]
-    };
+  /**
+   * C records (instrument remarks, flags, reagent lots) and M records (vendor data)
+   * attached to an order or result become backend comments
+   */
+  transformASTMComments(node) {
+    const comments = (node.comments || [])
+      .filter(c => c.text)
+      .map(c => ({ Text: c.text, Source: c.source || '', Type: c.commentType || '' }));
 
-    this.logger.debug('Transformed ASTM payload:', { specimenId, resultCount: resultRecords.length });
-    return payload;
+    const manufacturer = (node.manufacturerRecords || [])
+      .map(m => ({ Text: m.fields.filter(Boolean).join(' '), Source: 'I', Type: `M${m.recordTypeId ? `:${m.recordTypeId}` : ''}` }))
+      .filter(c => c.Text);
+
+    return [...comments, ...manufacturer];
   }
 
-  transformToBackendFormatWithInstrument(parsedData, instrumentId) {
-    const payload = this.transformToBackendFormat(parsedData);
-    if (!payload) return null;
-    if (payload.Orders && payload.Orders[0] && Array.isArray(payload.Orders[0].Results)) {
-      payload.Orders[0].Results = payload.Orders[0].Results.map(r => ({ ...r, InstrumentID: instrumentId }));
-    }
-    return payload;
+  transformToBackendFormatWithInstrument(parsedData, instrumentId, driver) {
+    const patients = this.transformToBackendFormat(parsedData, driver);
+    if (!patients) return null;
+    return patients.map(patient => ({
+      ...patient,
+      Orders: patient.Orders.map(order => ({
+        ...order,
+        Results: order.Results.map(r => ({ ...r, InstrumentID: instrumentId }))
+      }))
+    }));
   }
 
-  transformHL7ToBackendFormat(parsedData) {
+  transformHL7ToBackendFormat(parsedData, driver = this.drivers.get()) {
     // Extract data from HL7 segments
-    const mshSegment = parsedData.segments.find(s => s.type === 'MSH');
-    const pidSegment = parsedData.segments.find(s => s.type === 'PID');
-    const obrSegment = parsedData.segments.find(s => s.type === 'OBR');
-    const obxSegments = parsedData.segments.filter(s => s.type === 'OBX');
+    const pidSegment = parsedData.getSegment('PID');
+    const obrSegment = parsedData.getSegment('OBR');
+    const obxSegments = parsedData.getSegments('OBX');
 
     if (!pidSegment || !obrSegment || obxSegments.length === 0) {
       this.logger.warn('Incomplete HL7 data: missing required segments');
       return null;
     }
 
-    // Extract patient data from PID segment
-    const patientFields = pidSegment.fields || [];
-    const patientName = (patientFields[5] || '').replace('^', ' ').trim();
-    const patientId = patientFields[2] || '';
-    const dob = patientFields[7] || '';
-    const sex = patientFields[8] || '';
+    // PID-5 is family^given^middle
+    const patientName = [pidSegment.get(5, 1), pidSegment.get(5, 2), pidSegment.get(5, 3)]
+      .filter(Boolean)
+      .join(' ');
 
-    // Extract specimen ID from OBR segment (field 3)
-    const specimenId = obrSegment.fields[3] || '';
+    // Specimen ID is the filler order number (OBR-3), falling back to placer (OBR-2)
+    const specimenId = obrSegment.get(3, 1) || obrSegment.get(2, 1);
     
     if (!specimenId) {
       this.logger.warn('Missing specimen ID in HL7 message');
@@ -416,25 +998,25 @@ class LISAgent {
 
     // Transform to backend expected format
     const payload = {
-      PracticePatientID: patientId.split('^')[0] || '',
-      LabPatientID: patientId || '',
+      PracticePatientID: pidSegment.get(2, 1),
+      LabPatientID: pidSegment.get(3, 1) || pidSegment.get(2, 1),
       PatientName: patientName,
-      DOB: dob || '',
-      Sex: sex || '',
+      DOB: pidSegment.get(7, 1),
+      Sex: pidSegment.get(8),
       Orders: [{
         SpecimenID: specimenId,
-        UniversalTestID: obrSegment.fields[4] || '',
-        Priority: obrSegment.fields[5] || '',
+        UniversalTestID: obrSegment.get(4, 1),
+        Priority: obrSegment.get(5),
         CollectionDate: new Date().toISOString().split('T')[0].replace(/-/g, ''),
         CollectionTime: new Date().toTimeString().split(' ')[0].replace(/:/g, ''),
         Results: obxSegments.map(obx => {
-          const fields = obx.fields || [];
+          const result = this.parser.parseHL7Result(obx, driver);
           return {
-            UniversalTestID: fields[3] || '',
-            ResultValue: fields[5] || '',
-            Unit: fields[6] || '',
-            RefRange: fields[5] || '',
-            Abnormal: fields[8] || ''
+            UniversalTestID: result.testCode,
+            ResultValue: result.value,
+            Unit: result.unit,
+            RefRange: result.referenceRange,
+            Abnormal: result.flag
           };
         })
       }]
@@ -444,64 +1026,135 @@ class LISAgent {
     return payload;
   }
 
-  async sendOrQueue(payload) {
+  /**
+   * Send results now, or queue them when delivery is paused (control API or refused
+   * credentials) or the attempt fails
+   * @param {Array|Object} payload - Backend patient results
+   * @param {Object} [context] - { raw, instrumentId, connectionId } kept with queued and dead-lettered items
+   * @returns {Promise<Object>} { sent, queued, setAside, paused } - setAside when a permanent failure
+   *   went to review or the dead letters; paused is the pause reason, or null
+   */
+  async sendOrQueue(payload, context = {}) {
+    if (this.queueManager.isPaused()) {
+      const reason = this.queueManager.pausedReason;
+      const queued = !!this.queueManager.add(payload, { context, reason: `delivery paused: ${reason}` });
+      if (queued) {
+        this.logger.warn('Delivery is paused - message queued', { reason, queueSize: this.queueManager.size() });
+      }
+      return { sent: false, queued, setAside: false, paused: reason };
+    }
+
     try {
-      const sent = await this.sendToServer(payload);
-      if (!sent) {
-        // Queue for retry
-        this.queueManager.add(payload);
+      await this.sendToServer(payload, context);
+      this.auditLog.recordItem('sent', { context, data: payload }, { details: { attempt: 1 } });
+      return { sent: true, queued: false, setAside: false, paused: null };
+    } catch (error) {
+      this.logger.error('Failed to send to server:', error.message);
+
+      // Validation rejections go to review, other permanent failures to dead letters;
+      // if neither can be written the queue keeps the item and routes it on its next attempt
+      if (error.retryable === false) {
+        const item = {
+          attempts: 1,
+          lastError: error.message,
+          history: [{ at: new Date().toISOString(), error: error.message, status: error.status || null }],
+          context,
+          data: payload
+        };
+        if (this.queueManager.reject(item, error)) {
+          return { sent: false, queued: false, setAside: true, paused: null };
+        }
+      }
+
+      // Queue for retry
+      const queued = !!this.queueManager.add(payload, { error, context });
+      if (queued) {
         this.logger.warn('Message queued for retry');
       }
-    } catch (error) {
-      this.logger.error('Failed to send or queue:', error);
-      this.queueManager.add(payload);
+      if (error.category === 'auth') {
+        this.queueManager.handleAuthFailure(error);
+      }
+      return { sent: false, queued, setAside: false, paused: this.queueManager.pausedReason };
     }
   }
 
-  async sendToServer(payload) {
+  /**
+   * POST patient results to the backend; rejects with the HttpClient error
+   * (carrying category/status/body/retryAfterMs) when delivery fails
+   * @param {Object} [context] - { idempotencyKey } (replays), else { messageId }, sent as the idempotency key
+   */
+  async sendToServer(payload, context = {}) {
+    const endpoint = this.config.server.endpoints?.reports || '/api/instruments/results';
+    // Backend expects an array of patient results (older queue items hold a single patient)
+    const patients = Array.isArray(payload) ? payload : [payload];
+    this.logger.info('Sending data to backend server', {
+      specimenIds: patients.flatMap(p => (p.Orders || []).map(o => o.SpecimenID))
+    });
     try {
-      const endpoint = this.config.server.endpoints?.reports || '/api/instruments/results';
-      this.logger.info('Sending data to backend server', {
-        specimenId: payload.Orders?.[0]?.SpecimenID
-      });
-      // Backend expects an array of patient results
-      const response = await this.httpClient.post(endpoint, [payload]);
-      this.logger.info('Data sent to server successfully');
-      return true;
+      await this.httpClient.post(endpoint, patients, { idempotencyKey: context.idempotencyKey || context.messageId });
     } catch (error) {
-      this.logger.error('Failed to send to server:', error.message);
-      return false;
+      this.stats.sendErrors++;
+      throw error;
     }
+    this.stats.sent++;
+    this.logger.info('Data sent to server successfully', { messageId: context.messageId });
+    return true;
   }
 
+  /**
+   * Operator alert: logged as an error and pushed to the backend over Socket.IO when connected
+   */
+  raiseAlert(type, message, details = {}) {
+    this.logger.error(`ALERT: ${message}`, { alert: type, ...details });
+    if (this.socket && this.socket.connected) {
+      this.socket.emit('agent-alert', { type, message, ...details, timestamp: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * Failures propagate to Heartbeat, which logs and counts them
+   */
   async sendHeartbeat() {
-    try {
-      const endpoint = this.config.server.endpoints?.heartbeat || '/api/instruments/heartbeat';
-      const readers = this.readers || [];
-      if (readers.length === 0) {
-        await this.httpClient.post(endpoint, {
-          instrumentId: undefined,
-          status: 'online',
-          timestamp: new Date().toISOString(),
-          queueSize: this.queueManager.size()
-        });
-        this.logger.debug('Heartbeat sent (no readers)');
-        return;
-      }
+    const endpoint = this.config.server.endpoints?.heartbeat || '/api/instruments/heartbeat';
+    const readers = this.readers || [];
+    const certificates = this.certificateReport();
+    if (readers.length === 0) {
+      await this.httpClient.post(endpoint, {
+        instrumentId: undefined,
+        status: 'online',
+        timestamp: new Date().toISOString(),
+        queueSize: this.queueManager.size(),
+        certificates,
+        audit: this.auditLog.head()
+      });
+      this.logger.debug('Heartbeat sent (no readers)');
+      return;
+    }
 
-      // Send one heartbeat per connection with instrumentId set (legacy-compatible)
-      for (const r of readers) {
-        await this.httpClient.post(endpoint, {
-          instrumentId: r.instrumentId,
-          status: 'online',
-          timestamp: new Date().toISOString(),
-          queueSize: this.queueManager.size()
-        });
-      }
-      this.logger.debug('Heartbeat sent successfully');
-    } catch (error) {
-      this.logger.debug('Heartbeat failed:', error.message);
+    // Send one heartbeat per connection with instrumentId set (legacy-compatible)
+    for (const r of readers) {
+      await this.httpClient.post(endpoint, {
+        instrumentId: r.instrumentId,
+        status: 'online',
+        timestamp: new Date().toISOString(),
+        queueSize: this.queueManager.size(),
+        certificates,
+        audit: this.auditLog.head()
+      });
     }
+    this.logger.debug('Heartbeat sent successfully');
+  }
+
+  /**
+   * TLS client/backend certificates with days left; logs a warning for any expiring
+   * within security.tls.expiryWarningDays
+   */
+  certificateReport() {
+    const expiring = this.httpClient.checkCertificateExpiry();
+    return {
+      ...this.httpClient.certificateStatus(),
+      expiringSoon: expiring.map(cert => cert.role)
+    };
   }
 
   async processQueue() {
@@ -512,6 +1165,104 @@ class LISAgent {
     }
   }
 
+  /**
+   * Snapshot for the control API's GET /status
+   */
+  getStatus() {
+    const lastMessages = Object.fromEntries(this.lastMessages);
+    return {
+      agent: {
+        startedAt: this.startedAt.toISOString(),
+        uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+        running: this.isRunning,
+        backendSocketConnected: !!(this.socket && this.socket.connected)
+      },
+      connections: this.readers.map(r => ({
+        id: r.id,
+        type: r.conn?.type || null,
+        instrumentId: r.instrumentId,
+        driver: r.driver?.type || null,
+        connected: !!r.reader.isConnected(),
+        lastMessageAt: lastMessages[r.instrumentId]?.connectionId === r.id ? lastMessages[r.instrumentId].receivedAt : null
+      })),
+      queue: this.queueManager.stats(),
+      lastMessages,
+      counters: { ...this.stats },
+      certificates: this.httpClient.certificateStatus(),
+      oauth2: this.httpClient.tokenProvider ? this.httpClient.tokenProvider.status() : null,
+      encryption: { enabled: this.cipher.enabled, keyId: this.cipher.activeKeyId },
+      audit: this.auditLog.head(),
+      deadLetters: this.deadLetterStore.size(),
+      heldForReview: this.reviewStore.size()
+    };
+  }
+
+  async flushQueue() {
+    return this.queueManager.flush();
+  }
+
+  /**
+   * Hold queued and new results (new results are queued, not sent) until resumeDelivery()
+   */
+  pauseDelivery() {
+    this.queueManager.pause('paused through control API');
+    const { paused, pausedReason, size } = this.queueManager.stats();
+    return { paused, reason: pausedReason, queueSize: size };
+  }
+
+  resumeDelivery() {
+    this.queueManager.resume();
+    const { paused, pausedReason, size } = this.queueManager.stats();
+    return { paused, reason: pausedReason, queueSize: size };
+  }
+
+  /**
+   * Close and reopen one connection's reader
+   * @returns {Object|null} null when no connection has this id
+   */
+  async reconnectReader(connectionId) {
+    const entry = this.readers.find(r => String(r.id) === String(connectionId));
+    if (!entry) return null;
+
+    this.logger.info(`Reconnecting reader (${entry.id})`);
+    await entry.reader.disconnect();
+    await entry.reader.connect();
+    return { id: entry.id, reconnected: true };
+  }
+
+  /**
+   * Rebuild the configuration from its layers (see ConfigLoader). Test code mappings,
+   * retry settings and connections apply immediately (see applyConnectionChanges); other
+   * changed sections are reported as needing a restart. Reloads run one at a time.
+   */
+  reloadConfig() {
+    const run = () => {
+      const { config: next, warnings } = loadConfig();
+      warnings.forEach(warning => this.logger.warn(`Config: ${warning}`));
+      return this.applyConfig(next);
+    };
+    this.reloading = (this.reloading || Promise.resolve()).catch(() => {}).then(run);
+    return this.reloading;
+  }
+
+  async applyConfig(next) {
+    const changed = [...new Set([...Object.keys(this.config), ...Object.keys(next)])]
+      .filter(key => JSON.stringify(this.config[key]) !== JSON.stringify(next[key]));
+
+    // Components hold a reference to the same config object - update it in place
+    for (const key of Object.keys(this.config)) {
+      delete this.config[key];
+    }
+    Object.assign(this.config, next);
+
+    this.testCodeMapper.load(this.config.instruments || []);
+    const connections = this.isRunning ? await this.applyConnectionChanges() : null;
+
+    const restartRequired = changed.filter(key => !RELOADABLE_SETTINGS.includes(key));
+    this.logger.info('Configuration reloaded', { changed, restartRequired, connections });
+    return { reloaded: true, changed, restartRequired, connections };
+  }
+
   attemptReconnect() {
     this.logger.info('Attempting to reconnect in 10 seconds...');
     setTimeout(() => {
@@ -529,37 +1280,54 @@ class LISAgent {
       clearInterval(this.portMonitorInterval);
       this.portMonitorInterval = null;
     }
+
+    if (this.replayInterval) {
+      clearInterval(this.replayInterval);
+      this.replayInterval = null;
+    }
     
     // Disconnect Socket.IO
     if (this.socket) {
       this.socket.disconnect();
     }
     
-    if (this.reader) {
-      await this.reader.disconnect();
+    for (const file of this.watchedFiles) {
+      fs.unwatchFile(file);
+    }
+    this.watchedFiles = [];
+
+    for (const entry of [...this.readers]) {
+      await this.stopConnection(entry, { force: true });
     }
     
     this.heartbeat.stop();
     this.queueManager.stop();
+    this.auditLog.close();
+
+    if (this.controlServer) {
+      await this.controlServer.stop();
+    }
     
     this.logger.info('Agent stopped');
   }
 }
 
-// Start agent
-const agent = new LISAgent();
-agent.start();
-
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  await agent.stop();
-  process.exit(0);
-});
-
-process.on('SIGINT', async () => {
-  await agent.stop();
-  process.exit(0);
-});
+// Start agent when run directly (tests require the class only)
+if (require.main === module) {
+  const agent = new LISAgent();
+  agent.start();
+
+  // Graceful shutdown
+  process.on('SIGTERM', async () => {
+    await agent.stop();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', async () => {
+    await agent.stop();
+    process.exit(0);
+  });
+}
 
 module.exports = LISAgent;
 
@@ -8,7 +8,10 @@ const TcpDetector = require('./TcpDetector');
 class AutoDetectionManager {
 	constructor(config = {}, logger = null) {
 		this.config = config || {};
-		this.logger = logger || createLogger({ logFile: path.join(process.cwd(), 'logs', 'autodetect.log') });
+		this.logger = logger || createLogger({
+			logFile: path.join(process.cwd(), 'logs', 'autodetect.log'),
+			redaction: this.config.logging?.redaction
+		});
 		this.results = [];
 
 		// Defaults with overrides from config
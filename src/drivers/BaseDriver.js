@@ -0,0 +1,60 @@
+/**
+ * Base (generic) instrument driver
+ * Drivers adapt vendor-specific message layouts to the agent's common record model.
+ * Subclass it (or export a plain object with the members to override) and select it
+ * per connection with `connections[].driver`, or implicitly by `instruments[].type`.
+ *
+ * Overridable members:
+ *  - astmFields: ASTM field positions per record type (index into the split record,
+ *    fields[0] is the record type, so E1394 field n lives at fields[n - 1])
+ *  - extractTestCode(components): Universal Test ID components -> test code
+ *  - extractSpecimenId(components): specimen field components -> specimen ID
+ *  - parseResult(result): adjust value/unit/range/flag of a parsed result
+ *  - isMessageComplete(buffer): message completion rule for legacy (non-protocol) readers
+ */
+class BaseDriver {
+  constructor(options = {}) {
+    this.type = 'GENERIC';
+    this.description = 'Generic ASTM E1394 / HL7 v2 instrument';
+    this.options = options;
+
+    // CLSI LIS2-A2 / ASTM E1394 positions
+    this.astmFields = {
+      patient: { sequence: 1, practiceId: 2, labId: 3, patientId: 4, name: 5, dob: 7, sex: 8 },
+      order: { sequence: 1, specimenId: 2, instrumentSpecimenId: 3, testId: 4, priority: 5 },
+      result: { sequence: 1, testId: 2, value: 3, unit: 4, referenceRange: 5, flag: 6, completedAt: 12 }
+    };
+  }
+
+  /**
+   * "^^^TSH^1" -> "TSH" (first non-empty component)
+   */
+  extractTestCode(components) {
+    const code = components.find(c => c && c.trim());
+    return code ? code.replace(/\s+/g, '') : '';
+  }
+
+  /**
+   * "SAMPLE01^01^05" (specimen^rack^position) -> "SAMPLE01"
+   */
+  extractSpecimenId(components) {
+    const id = components.find(c => c && c.trim());
+    return id ? id.trim() : '';
+  }
+
+  parseResult(result) {
+    return {
+      ...result,
+      value: (result.value || '').trim()
+    };
+  }
+
+  /**
+   * @returns {boolean|null} true/false, or null to use the reader's default rule
+   */
+  isMessageComplete(buffer) {
+    return null;
+  }
+}
+
+module.exports = BaseDriver;
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const BaseDriver = require('./BaseDriver');
+const MaglumiDriver = require('./MaglumiDriver');
+const SysmexXnDriver = require('./SysmexXnDriver');
+
+/**
+ * Driver Registry - Built-in and custom instrument drivers keyed by instrument type
+ *
+ * A custom driver file in the drivers directory exports either a class extending
+ * BaseDriver, or a plain object such as:
+ *   module.exports = { type: 'MY_ANALYZER', astmFields: { result: { value: 4 } }, extractTestCode(c) {...} }
+ */
+class DriverRegistry {
+  constructor(logger) {
+    this.logger = logger;
+    this.drivers = new Map();
+    this.defaultDriver = new BaseDriver();
+
+    this.register(BaseDriver);
+    this.register(MaglumiDriver);
+    this.register(SysmexXnDriver);
+  }
+
+  /**
+   * Register a driver class or plain-object definition
+   */
+  register(definition) {
+    const driver = this.createDriver(definition);
+    if (!driver.type) {
+      throw new Error('Driver must declare a type');
+    }
+    const key = String(driver.type).toUpperCase();
+    if (this.drivers.has(key)) {
+      this.logger.info(`Driver ${key} overridden`);
+    }
+    this.drivers.set(key, driver);
+    return driver;
+  }
+
+  createDriver(definition) {
+    if (typeof definition === 'function') {
+      return new definition();
+    }
+
+    // Plain object: override members of a generic driver, merging field positions.
+    // The type is not inherited, so a definition without one cannot replace GENERIC.
+    const driver = new BaseDriver();
+    const { astmFields = {}, ...members } = definition;
+    Object.assign(driver, { type: null }, members);
+    for (const recordType of Object.keys(astmFields)) {
+      driver.astmFields[recordType] = { ...driver.astmFields[recordType], ...astmFields[recordType] };
+    }
+    return driver;
+  }
+
+  /**
+   * Load every .js file in a directory as a custom driver
+   */
+  loadDirectory(dir) {
+    if (!dir) return;
+
+    const driversDir = path.resolve(dir);
+    if (!fs.existsSync(driversDir)) {
+      this.logger.debug(`Custom drivers directory not found: ${driversDir}`);
+      return;
+    }
+
+    for (const file of fs.readdirSync(driversDir).filter(f => f.endsWith('.js'))) {
+      try {
+        const driver = this.register(require(path.join(driversDir, file)));
+        this.logger.info(`Loaded custom driver ${driver.type} from ${file}`);
+      } catch (error) {
+        this.logger.error(`Failed to load custom driver ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Driver for an instrument type, falling back to the generic driver
+   */
+  get(type) {
+    if (!type) return this.defaultDriver;
+    return this.drivers.get(String(type).toUpperCase()) || this.defaultDriver;
+  }
+
+  has(type) {
+    return !!type && this.drivers.has(String(type).toUpperCase());
+  }
+
+  list() {
+    return [...this.drivers.values()].map(d => ({ type: d.type, description: d.description || '' }));
+  }
+}
+
+module.exports = DriverRegistry;
@@ -0,0 +1,29 @@
+const BaseDriver = require('./BaseDriver');
+
+/**
+ * Snibe MAGLUMI chemiluminescence analyzers (ASTM over RS-232)
+ * Records arrive one per line (CR LF) without STX/ETX in the default LIS mode,
+ * so a message is only complete once the L record has been received.
+ */
+class MaglumiDriver extends BaseDriver {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'MAGLUMI';
+    this.description = 'Snibe MAGLUMI immunoassay analyzers';
+  }
+
+  parseResult(result) {
+    const parsed = super.parseResult(result);
+    return {
+      ...parsed,
+      // Reference range is sent as "0.3 to 4.5"
+      referenceRange: (parsed.referenceRange || '').replace(/\s+to\s+/i, '-').trim()
+    };
+  }
+
+  isMessageComplete(buffer) {
+    return buffer.includes('\x04') || /(^|[\r\n])\d?L[^\w\s][^\r\n]*\r/.test(buffer);
+  }
+}
+
+module.exports = MaglumiDriver;
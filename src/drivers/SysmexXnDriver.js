@@ -0,0 +1,28 @@
+const BaseDriver = require('./BaseDriver');
+
+/**
+ * Sysmex XN-series hematology analyzers (ASTM)
+ * The sample number is sent in the instrument specimen ID (O-4) as "^^<sample no>^B"
+ * padded with spaces, and test IDs carry the parameter in component 5: "^^^^WBC^1".
+ */
+class SysmexXnDriver extends BaseDriver {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'SYSMEX_XN';
+    this.description = 'Sysmex XN-series hematology analyzers';
+    this.astmFields = {
+      ...this.astmFields,
+      order: { ...this.astmFields.order, specimenId: 3 }
+    };
+  }
+
+  extractTestCode(components) {
+    return (components[4] || '').trim() || super.extractTestCode(components);
+  }
+
+  extractSpecimenId(components) {
+    return (components[2] || '').trim() || super.extractSpecimenId(components);
+  }
+}
+
+module.exports = SysmexXnDriver;
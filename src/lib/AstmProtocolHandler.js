@@ -1,4 +1,5 @@
 const EventEmitter = require('events');
+const metrics = require('./Metrics');
 
 /**
  * ASTM Protocol Handler - Handles low-level ASTM protocol communication
@@ -20,6 +21,16 @@ class AstmProtocolHandler extends EventEmitter {
     super();
     this.logger = logger;
     this.alarmTime = options.alarmTime || 10000; // 10 seconds timeout
+    this.write = options.write || null; // Writes bytes to the link when acting as sender
+    this.connectionId = String(options.connectionId ?? 'unknown'); // Metrics label
+
+    // Sender timing per CLSI LIS1-A
+    this.senderTimeout = options.senderTimeout || 15000; // Wait for ACK/NAK after ENQ or frame
+    this.maxRetries = options.maxRetries || 6; // Frame retransmissions / link establishment attempts
+    this.maxFrameText = options.maxFrameText || 240; // Text characters per frame
+    this.busyRetryDelay = options.busyRetryDelay || 10000; // NAK on ENQ - receiver not ready
+    this.contentionDelay = options.contentionDelay || 20000; // Both sides sent ENQ - instrument wins
+    this.interruptDelay = options.interruptDelay || 15000; // Receiver interrupt (EOT in place of ACK)
     this.nextExpectedFrameNumber = 1; // First frame after ENQ-STX is always 1 (not 0)
     this.currentFrameNumber = null;
     this.messageBuffer = Buffer.alloc(0);
@@ -29,6 +40,12 @@ class AstmProtocolHandler extends EventEmitter {
     this.receivedChecksum = '';
     this.expectingChecksum = false;
     this.timeoutTimer = null;
+    this.isSendingMessage = false;
+    this.senderState = 'idle'; // idle | establishing | transferring
+    this.sendJob = null;
+    this.outbox = [];
+    this.senderTimer = null;
+    this.senderRetryTimer = null;
     
     // Control characters
     this.ENQ = 0x05;
@@ -48,8 +65,27 @@ class AstmProtocolHandler extends EventEmitter {
    */
   processByte(byte) {
     const byteValue = Buffer.isBuffer(byte) ? byte[0] : byte.charCodeAt(0);
-    
+
+    if (this.isSendingMessage) {
+      this.countControl(byteValue, 'received');
+    }
+    const response = this.dispatchByte(byteValue);
+    if (response) {
+      this.countControl(response[0], 'sent');
+    }
+    return response;
+  }
+
+  /**
+   * Route a byte to the sender or receiver state machine
+   */
+  dispatchByte(byteValue) {
     try {
+      // While we own the link as sender, bytes are replies to our frames
+      if (this.isSendingMessage) {
+        return this.processSenderByte(byteValue);
+      }
+
       // Reset timeout on any byte received
       this.resetTimeout();
 
@@ -203,6 +239,7 @@ class AstmProtocolHandler extends EventEmitter {
     this.emit('message', completeMessage);
     
     this.resetState();
+    setImmediate(() => this.pumpOutbox()); // Line is neutral again - resume pending transmissions
     return Buffer.from([this.ACK]); // Send ACK
   }
 
@@ -263,7 +300,10 @@ class AstmProtocolHandler extends EventEmitter {
     
     const isValid = calculated === received;
     
-    if (!isValid) {
+    if (isValid) {
+      metrics.framesReceived.inc({ connection: this.connectionId });
+    } else {
+      metrics.checksumFailures.inc({ connection: this.connectionId });
       this.logger.warn(
         `Checksum mismatch: calculated=${calculated}, received=${received}`
       );
@@ -272,6 +312,17 @@ class AstmProtocolHandler extends EventEmitter {
     return isValid;
   }
 
+  /**
+   * Count ACK/NAK bytes for the metrics endpoint
+   */
+  countControl(byteValue, direction) {
+    if (byteValue === this.ACK) {
+      metrics.linkControl.inc({ connection: this.connectionId, type: 'ack', direction });
+    } else if (byteValue === this.NAK) {
+      metrics.linkControl.inc({ connection: this.connectionId, type: 'nak', direction });
+    }
+  }
+
   /**
    * Start timeout alarm
    */
@@ -300,6 +351,7 @@ class AstmProtocolHandler extends EventEmitter {
     this.logger.warn('Message timeout - data may be incomplete');
     this.emit('timeout', this.messageBuffer.toString());
     this.resetState();
+    this.pumpOutbox();
   }
 
   /**
@@ -316,6 +368,304 @@ class AstmProtocolHandler extends EventEmitter {
     this.resetTimeout();
   }
 
+  /**
+   * Queue a message for transmission to the instrument (sender role)
+   * Resolves once every frame has been acknowledged and EOT has been sent
+   */
+  send(message) {
+    if (typeof this.write !== 'function') {
+      return Promise.reject(new Error('ASTM sender has no write function configured'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.outbox.push({
+        frames: this.buildFrames(message),
+        frameIndex: 0,
+        nakCount: 0,
+        attempts: 0,
+        resolve,
+        reject
+      });
+      this.pumpOutbox();
+    });
+  }
+
+  /**
+   * Start the next queued transmission if the link is idle
+   */
+  pumpOutbox() {
+    if (this.sendJob || this.senderRetryTimer || this.isReceivingMessage) return;
+    if (this.outbox.length === 0) return;
+
+    this.sendJob = this.outbox.shift();
+    this.establishLink();
+  }
+
+  /**
+   * Establishment phase - bid for the line with ENQ
+   */
+  establishLink() {
+    const job = this.sendJob;
+    job.attempts++;
+    job.frameIndex = 0;
+    job.nakCount = 0;
+
+    this.isSendingMessage = true;
+    this.senderState = 'establishing';
+    this.logger.debug(`Sending ENQ (attempt ${job.attempts}) - ${job.frames.length} frame(s) to transmit`);
+    this.write(Buffer.from([this.ENQ]));
+    this.startSenderTimeout();
+  }
+
+  /**
+   * Handle byte received while sending - instrument replies with ACK/NAK/ENQ/EOT
+   */
+  processSenderByte(byteValue) {
+    if (this.senderState === 'establishing') {
+      return this.handleEstablishmentReply(byteValue);
+    }
+
+    switch (byteValue) {
+      case this.ACK:
+        this.resetSenderTimeout();
+        this.sendJob.nakCount = 0;
+        this.sendJob.frameIndex++;
+        this.sendNextFrame();
+        break;
+
+      case this.NAK:
+        this.handleFrameNAK();
+        break;
+
+      case this.EOT:
+        this.handleReceiverInterrupt();
+        break;
+
+      default:
+        this.logger.debug(`Ignoring byte 0x${byteValue.toString(16)} while sending`);
+        break;
+    }
+    return null;
+  }
+
+  /**
+   * Reply to our ENQ: ACK starts transfer, NAK means receiver busy,
+   * ENQ means both sides bid at once (contention - instrument has priority)
+   */
+  handleEstablishmentReply(byteValue) {
+    switch (byteValue) {
+      case this.ACK:
+        this.resetSenderTimeout();
+        this.senderState = 'transferring';
+        this.sendNextFrame();
+        return null;
+
+      case this.NAK:
+        this.logger.warn(`Instrument busy (NAK on ENQ) - retrying in ${this.busyRetryDelay}ms`);
+        this.deferSending(this.busyRetryDelay);
+        return null;
+
+      case this.ENQ:
+        this.logger.warn(`Line contention - yielding to instrument, retrying in ${this.contentionDelay}ms`);
+        this.deferSending(this.contentionDelay);
+        return this.handleENQ();
+
+      default:
+        this.logger.debug(`Ignoring byte 0x${byteValue.toString(16)} while establishing`);
+        return null;
+    }
+  }
+
+  /**
+   * Transfer phase - send current frame, or EOT once all frames are acknowledged
+   */
+  sendNextFrame() {
+    const job = this.sendJob;
+
+    if (job.frameIndex < job.frames.length) {
+      this.logger.debug(`Sending frame ${job.frameIndex + 1}/${job.frames.length}`);
+      this.write(job.frames[job.frameIndex]);
+      this.startSenderTimeout();
+      return;
+    }
+
+    this.logger.debug('All frames acknowledged - sending EOT');
+    this.write(Buffer.from([this.EOT]));
+    this.completeSending(null);
+  }
+
+  /**
+   * NAK on a frame - retransmit up to maxRetries times, then abort
+   */
+  handleFrameNAK() {
+    const job = this.sendJob;
+    this.resetSenderTimeout();
+    job.nakCount++;
+
+    if (job.nakCount >= this.maxRetries) {
+      this.logger.error(`Frame ${job.frameIndex + 1} rejected ${job.nakCount} times - aborting transmission`);
+      this.write(Buffer.from([this.EOT]));
+      this.completeSending(new Error('Instrument rejected frame too many times (NAK)'));
+      return;
+    }
+
+    this.logger.warn(`NAK received for frame ${job.frameIndex + 1} - retransmitting (${job.nakCount}/${this.maxRetries})`);
+    this.write(job.frames[job.frameIndex]);
+    this.startSenderTimeout();
+  }
+
+  /**
+   * EOT in place of ACK - frame accepted, but the receiver asks us to stop.
+   * Terminate and retransmit the whole message in a later session.
+   */
+  handleReceiverInterrupt() {
+    const job = this.sendJob;
+    this.resetSenderTimeout();
+    job.frameIndex++;
+    this.write(Buffer.from([this.EOT]));
+
+    if (job.frameIndex >= job.frames.length) {
+      this.completeSending(null);
+      return;
+    }
+
+    this.logger.warn(`Receiver interrupt - retransmitting message in ${this.interruptDelay}ms`);
+    this.deferSending(this.interruptDelay);
+  }
+
+  /**
+   * Give up the line and retry the current job after a delay
+   */
+  deferSending(delay) {
+    const job = this.sendJob;
+    this.resetSenderTimeout();
+    this.isSendingMessage = false;
+    this.senderState = 'idle';
+    this.sendJob = null;
+
+    if (job.attempts >= this.maxRetries) {
+      job.reject(new Error(`Could not establish ASTM link after ${job.attempts} attempts`));
+      this.pumpOutbox();
+      return;
+    }
+
+    this.outbox.unshift(job);
+    this.senderRetryTimer = setTimeout(() => {
+      this.senderRetryTimer = null;
+      this.pumpOutbox();
+    }, delay);
+  }
+
+  /**
+   * Split a message into frames
+   * Each record starts a new frame; records longer than maxFrameText are split into
+   * intermediate (ETB) frames. Frame numbers run 1..7, 0, 1...
+   */
+  buildFrames(message) {
+    const records = String(message).split('\r').filter(record => record.length > 0);
+    const frames = [];
+
+    for (const record of records) {
+      const text = `${record}\r`;
+      for (let start = 0; start < text.length; start += this.maxFrameText) {
+        const chunk = text.substring(start, start + this.maxFrameText);
+        const isLast = start + this.maxFrameText >= text.length;
+        frames.push(this.buildFrame((frames.length + 1) % 8, chunk, isLast));
+      }
+    }
+
+    return frames;
+  }
+
+  /**
+   * Build a single frame: STX FN text ETX|ETB C1 C2 CR LF
+   */
+  buildFrame(frameNumber, text, isLast) {
+    const body = `${frameNumber}${text}${String.fromCharCode(isLast ? this.ETX : this.ETB)}`;
+    const checksum = this.calculateFrameChecksum(body);
+    return Buffer.from(`\x02${body}${checksum}\r\n`, 'binary');
+  }
+
+  /**
+   * Checksum over frame number, text and ETX/ETB as two uppercase hex digits
+   */
+  calculateFrameChecksum(body) {
+    let sum = 0;
+    for (const byte of Buffer.from(body, 'binary')) {
+      sum = (sum + byte) % 256;
+    }
+    return sum.toString(16).toUpperCase().padStart(2, '0');
+  }
+
+  /**
+   * Start timeout waiting for the instrument to reply while sending
+   */
+  startSenderTimeout() {
+    this.resetSenderTimeout();
+    this.senderTimer = setTimeout(() => {
+      this.logger.warn('Timeout: instrument did not acknowledge transmission');
+      this.write(Buffer.from([this.EOT]));
+      this.completeSending(new Error('Timed out waiting for ACK from instrument'));
+    }, this.senderTimeout);
+  }
+
+  /**
+   * Reset sender timeout
+   */
+  resetSenderTimeout() {
+    if (this.senderTimer) {
+      clearTimeout(this.senderTimer);
+      this.senderTimer = null;
+    }
+  }
+
+  /**
+   * Leave sender role, settle the current job and move on to the next one
+   */
+  completeSending(error) {
+    const job = this.sendJob;
+    this.resetSenderTimeout();
+    this.isSendingMessage = false;
+    this.senderState = 'idle';
+    this.sendJob = null;
+
+    if (job) {
+      if (error) {
+        job.reject(error);
+      } else {
+        job.resolve();
+      }
+    }
+    this.pumpOutbox();
+  }
+
+  /**
+   * Fail the current and all queued transmissions (e.g. link closed)
+   */
+  cancelSending(reason = 'ASTM link closed') {
+    const jobs = [...(this.sendJob ? [this.sendJob] : []), ...this.outbox];
+    this.resetSenderTimeout();
+    if (this.senderRetryTimer) {
+      clearTimeout(this.senderRetryTimer);
+      this.senderRetryTimer = null;
+    }
+    this.isSendingMessage = false;
+    this.senderState = 'idle';
+    this.sendJob = null;
+    this.outbox = [];
+
+    for (const job of jobs) {
+      job.reject(new Error(reason));
+    }
+  }
+
+  /**
+   * Check if currently sending a message
+   */
+  isSending() {
+    return this.isSendingMessage;
+  }
+
   /**
    * Send ACK manually (for external use)
    */
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const GENESIS = '0'.repeat(64);
+const MAX_ERROR_LENGTH = 300;
+
+/**
+ * Audit Log - Tamper-evident trail of every result's lifecycle (received, parsed,
+ * transformed, queued, sent, rejected, dead-lettered, requeued...)
+ *
+ * One JSON line per event in a daily file (audit.dir/YYYY-MM-DD.jsonl, UTC dates),
+ * fsync'd before record() returns:
+ *   { seq, at, event, actor, messageId, archiveId, specimenIds, instrumentId,
+ *     connectionId, details, prev, hash }
+ * hash is the SHA-256 of the record without it, and prev is the previous record's hash,
+ * so changing, removing or reordering any record breaks the chain from that point on
+ * (see verify()). The head of the chain goes out with every heartbeat, which anchors
+ * it outside this machine.
+ *
+ * Records carry ids, test codes and delivery outcomes - never patient demographics.
+ * Only the agent writes; the CLI (src/tools/audit.js) reads. Files are never pruned.
+ */
+class AuditLog {
+  constructor(config, logger) {
+    this.logger = logger;
+    this.enabled = config.audit?.enabled !== false;
+    this.dir = config.audit?.dir || './data/audit';
+    this.seq = 0;
+    this.lastHash = GENESIS;
+    this.opened = false;
+    this.fd = null;
+    this.currentDay = null;
+  }
+
+  dayOf(date) {
+    return date.toISOString().substring(0, 10);
+  }
+
+  fileFor(day) {
+    return path.join(this.dir, `${day}.jsonl`);
+  }
+
+  days() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+      .map(f => f.substring(0, 10))
+      .sort();
+  }
+
+  /**
+   * Pick up the chain where the last record left it. The newest day file can be empty
+   * (e.g. created just before a crash, or holding only a torn record), so days are
+   * searched back to the last record.
+   */
+  open() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const days = this.days();
+    if (days.length > 0) {
+      this.truncateTornTail(this.fileFor(days[days.length - 1]));
+    }
+    for (const day of [...days].reverse()) {
+      const last = this.readDay(day).pop();
+      if (!last) continue;
+
+      if (last.hash !== this.hashOf(last)) {
+        this.logger.error('Audit log: last record does not match its hash - run the audit verify command', { file: this.fileFor(day), seq: last.seq });
+      }
+      this.seq = last.seq;
+      this.lastHash = last.hash;
+      break;
+    }
+
+    this.opened = true;
+    this.logger.info(`Audit log opened at record ${this.seq}`, { dir: this.dir });
+  }
+
+  /**
+   * Cut an incomplete last line (write interrupted by a crash) so appends start on a fresh line
+   */
+  truncateTornTail(file) {
+    const content = fs.readFileSync(file);
+    if (content.length === 0 || content[content.length - 1] === 0x0a) return;
+
+    const validLength = content.lastIndexOf(0x0a) + 1;
+    fs.truncateSync(file, validLength);
+    this.logger.warn('Audit log: torn record at end of file discarded', { file: path.basename(file) });
+  }
+
+  hashOf(record) {
+    const { hash, ...content } = record;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * @param {string} event - e.g. received, parsed, transformed, queued, sent, rejected, dead_lettered
+   * @param {Object} [fields] - { actor, messageId, archiveId, specimenIds, instrumentId, connectionId, details }
+   * @returns {number|null} Sequence number, or null when auditing is disabled or the write failed
+   */
+  record(event, fields = {}) {
+    if (!this.enabled) return null;
+
+    try {
+      if (!this.opened) this.open();
+
+      const now = new Date();
+      const day = this.dayOf(now);
+      if (day !== this.currentDay) {
+        if (this.fd !== null) fs.closeSync(this.fd);
+        this.fd = fs.openSync(this.fileFor(day), 'a');
+        this.currentDay = day;
+      }
+
+      const record = {
+        seq: this.seq + 1,
+        at: now.toISOString(),
+        event,
+        actor: fields.actor || 'agent',
+        messageId: fields.messageId || null,
+        archiveId: fields.archiveId || null,
+        specimenIds: fields.specimenIds || [],
+        instrumentId: fields.instrumentId || null,
+        connectionId: fields.connectionId || null,
+        details: fields.details || {},
+        prev: this.lastHash
+      };
+      record.hash = this.hashOf(record);
+
+      fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+      fs.fsyncSync(this.fd);
+      this.seq = record.seq;
+      this.lastHash = record.hash;
+      return record.seq;
+    } catch (error) {
+      this.logger.error(`Failed to write audit event ${event}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record an event for a queue item (or a payload with its context), taking the ids
+   * from the item
+   */
+  recordItem(event, item, fields = {}) {
+    const context = item.context || {};
+    return this.record(event, {
+      messageId: context.messageId,
+      specimenIds: AuditLog.specimenIdsOf(item.data),
+      instrumentId: context.instrumentId,
+      connectionId: context.connectionId,
+      ...fields,
+      details: { queueItemId: item.id || null, ...fields.details }
+    });
+  }
+
+  /**
+   * @returns {{ seq: number, hash: string }|null} The latest record, for external anchoring
+   */
+  head() {
+    if (!this.enabled) return null;
+    if (!this.opened) this.open();
+    return { seq: this.seq, hash: this.lastHash };
+  }
+
+  readDay(day) {
+    const file = this.fileFor(day);
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Events for a specimen or message, including the events of the messages they belong
+   * to (e.g. "received" is linked through the archive id)
+   * @param {Object} filter - { specimenId, messageId (or a prefix), from, to } (from/to YYYY-MM-DD, UTC)
+   */
+  query(filter = {}) {
+    const specimenId = filter.specimenId ? String(filter.specimenId).toUpperCase() : null;
+    const events = this.days()
+      .filter(day => (!filter.from || day >= filter.from) && (!filter.to || day <= filter.to))
+      .flatMap(day => this.readDay(day));
+
+    const matches = event => (specimenId && event.specimenIds.some(id => String(id).toUpperCase() === specimenId)) ||
+      (filter.messageId && event.messageId?.startsWith(filter.messageId));
+
+    const messageIds = new Set();
+    const archiveIds = new Set();
+    for (const event of events.filter(matches)) {
+      if (event.messageId) messageIds.add(event.messageId);
+      if (event.archiveId) archiveIds.add(event.archiveId);
+    }
+
+    return events.filter(event => matches(event) ||
+      messageIds.has(event.messageId) ||
+      archiveIds.has(event.archiveId));
+  }
+
+  /**
+   * Check every record's hash and its link to the previous one
+   * @returns {{ ok: boolean, records: number, head: Object, error: Object|null }} error: { day, line, seq, reason }
+   */
+  verify() {
+    let lastHash = GENESIS;
+    let lastSeq = 0;
+    let records = 0;
+
+    for (const day of this.days()) {
+      const lines = fs.readFileSync(this.fileFor(day), 'utf8').split('\n');
+      for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) continue;
+        const fail = (reason, seq = null) => ({
+          ok: false,
+          records,
+          head: { seq: lastSeq, hash: lastHash },
+          error: { day, line: i + 1, seq, reason }
+        });
+
+        let record;
+        try {
+          record = JSON.parse(lines[i]);
+        } catch (error) {
+          return fail('not valid JSON');
+        }
+        if (record.seq !== lastSeq + 1) return fail(`sequence ${record.seq} follows ${lastSeq}`, record.seq);
+        if (record.prev !== lastHash) return fail('link to the previous record is broken', record.seq);
+        if (record.hash !== this.hashOf(record)) return fail('record was altered (hash mismatch)', record.seq);
+
+        lastHash = record.hash;
+        lastSeq = record.seq;
+        records++;
+      }
+    }
+    return { ok: true, records, head: { seq: lastSeq, hash: lastHash }, error: null };
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+      this.currentDay = null;
+    }
+  }
+
+  static specimenIdsOf(payload) {
+    const patients = Array.isArray(payload) ? payload : [payload];
+    return [...new Set(patients.flatMap(p => (p?.Orders || []).map(o => o.SpecimenID)).filter(Boolean))];
+  }
+
+  /**
+   * Error text for audit details, bounded in length
+   */
+  static errorText(error) {
+    return String(error?.message || error || '').substring(0, MAX_ERROR_LENGTH);
+  }
+}
+
+module.exports = AuditLog;
@@ -2,12 +2,15 @@ const { SerialPort } = require('serialport');
 const { ReadlineParser } = require('@serialport/parser-readline');
 const EventEmitter = require('events');
 const AstmProtocolHandler = require('./AstmProtocolHandler');
+const metrics = require('./Metrics');
 
 class ComReader extends EventEmitter {
-  constructor(config, logger) {
+  constructor(config, logger, options = {}) {
     super();
     this.config = config;
     this.logger = logger;
+    this.driver = options.driver || null; // Instrument driver may define message completion
+    this.connectionId = String(options.connectionId ?? config.port); // Metrics label
     this.port = null;
     this.parser = null;
     this.buffer = '';
@@ -16,7 +19,9 @@ class ComReader extends EventEmitter {
     
     if (this.useProtocolHandler) {
       this.protocolHandler = new AstmProtocolHandler(logger, {
-        alarmTime: config.alarmTime || 10000
+        alarmTime: config.alarmTime || 10000,
+        write: (data) => this.write(data),
+        connectionId: this.connectionId
       });
       this.setupProtocolHandler();
     }
@@ -59,6 +64,10 @@ class ComReader extends EventEmitter {
         this.emit('connect');
       });
 
+      this.port.on('data', (data) => {
+        metrics.bytesReceived.inc({ connection: this.connectionId }, data.length);
+      });
+
       // Use byte-level reading if protocol handler is enabled
       if (this.useProtocolHandler) {
         this.port.on('data', (data) => {
@@ -78,6 +87,9 @@ class ComReader extends EventEmitter {
 
       this.port.on('close', () => {
         this.logger.warn('COM port closed');
+        if (this.protocolHandler) {
+          this.protocolHandler.cancelSending('Link closed before transmission completed');
+        }
         this.emit('disconnect');
       });
 
@@ -121,18 +133,20 @@ class ComReader extends EventEmitter {
       // Accumulate data into buffer
       this.buffer += data;
 
-      // Check if message is complete (ETX/EOT, ASTM L| terminator, or newline)
-      const hasTerminator = this.buffer.includes('\x03') ||
+      // The instrument driver decides completion when it has a rule; otherwise
+      // ETX/EOT, ASTM L| terminator, or newline
+      const driverRule = this.driver ? this.driver.isMessageComplete(this.buffer) : null;
+      const hasTerminator = driverRule !== null ? driverRule : (this.buffer.includes('\x03') ||
         this.buffer.includes('\x04') ||
-        /\rL\|.*\r/.test(this.buffer) ||
-        this.buffer.includes('\n');
+        /\rL[^\w\s].*\r/.test(this.buffer) ||
+        this.buffer.includes('\n'));
 
       if (hasTerminator) {
         const message = this.buffer.trim();
         this.buffer = '';
 
         if (message.length > 0) {
-          this.logger.debug('Complete message received:', message.substring(0, 100));
+          this.logger.debug('Complete message received', { length: message.length, preview: message.substring(0, 100) });
           this.emit('data', message);
         }
       }
@@ -141,6 +155,29 @@ class ComReader extends EventEmitter {
     }
   }
 
+  /**
+   * Write raw bytes to the COM port
+   */
+  write(data) {
+    if (!this.port || !this.port.isOpen) {
+      this.logger.warn('Cannot write - COM port is not open');
+      return false;
+    }
+    this.port.write(data);
+    return true;
+  }
+
+  /**
+   * Send an ASTM message to the instrument (ENQ/frames/EOT sequencing)
+   */
+  async send(message) {
+    if (!this.protocolHandler) {
+      throw new Error('Sending requires useProtocolHandler to be enabled for this connection');
+    }
+    await this.protocolHandler.send(message);
+    this.logger.info('ASTM message sent to instrument', { port: this.config.port });
+  }
+
   async disconnect() {
     if (this.port && this.port.isOpen) {
       await new Promise((resolve) => {
@@ -150,6 +187,17 @@ class ComReader extends EventEmitter {
     }
   }
 
+  /**
+   * Whether a message is in flight (ASTM session open or partial message buffered),
+   * so a graceful stop can wait for it
+   */
+  isBusy() {
+    if (this.protocolHandler && (this.protocolHandler.isReceiving() || this.protocolHandler.isSending())) {
+      return true;
+    }
+    return this.buffer.length > 0;
+  }
+
   isConnected() {
     return this.port && this.port.isOpen;
   }
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const ConfigValidator = require('./ConfigValidator');
+
+const CONFIG_DIR = path.join(__dirname, '..', '..', 'config');
+const ENV_FILE = path.join(__dirname, '..', '..', '.env');
+const ENV_PREFIX = 'LIS_';
+const LOCAL_FILE_VARIABLE = 'LIS_CONFIG_LOCAL';
+
+// Values under keys like these are masked by mask()
+const SECRET_KEY_PATTERN = /(apikey|token|secret|password|passphrase|privatekey|^key|previouskeys)$/i;
+const MASK = '********';
+
+/**
+ * Config Loader - Builds the effective configuration from three layers, each overriding
+ * the previous one:
+ *   1. config/default.json
+ *   2. config/local.json (or the file named by LIS_CONFIG_LOCAL), if present - site-specific
+ *      settings kept out of version control. Objects merge key by key; arrays of entries
+ *      with an `id` (connections, instruments) merge by id, other arrays are replaced.
+ *   3. LIS_* environment variables, also read from .env (real environment variables win).
+ *      The name is the setting's path, upper-cased and joined with "_":
+ *        LIS_SERVER_URL, LIS_SECURITY_APIKEY, LIS_QUEUE_MAXSIZE
+ *      Array entries are addressed by id (non-alphanumerics as "_") or index:
+ *        LIS_CONNECTIONS_CONN1_TCP_PORT, LIS_INSTRUMENTS_CLIENT_001_LOCATION
+ *      Values are JSON-parsed (numbers, booleans, null, arrays) unless the setting is a string.
+ */
+class ConfigLoader {
+  constructor(options = {}) {
+    this.configDir = options.configDir || CONFIG_DIR;
+    this.envFile = options.envFile || ENV_FILE;
+    this.env = options.env || process.env;
+    this.validator = options.validator || new ConfigValidator();
+    this.defaultFile = path.join(this.configDir, 'default.json');
+  }
+
+  get localFile() {
+    return this.readEnv()[LOCAL_FILE_VARIABLE] || path.join(this.configDir, 'local.json');
+  }
+
+  /**
+   * Files whose changes alter the effective configuration (for reload watching)
+   */
+  files() {
+    return [this.defaultFile, this.localFile, this.envFile];
+  }
+
+  /**
+   * @returns {{ config: Object, errors: string[], warnings: string[], overrides: Array<{ path: string, source: string }> }}
+   * @throws {Error} when a configuration file cannot be read or parsed
+   */
+  load() {
+    const overrides = [];
+    const warnings = [];
+    const config = this.readFile(this.defaultFile);
+
+    const localFile = this.localFile;
+    if (fs.existsSync(localFile)) {
+      this.merge(config, this.readFile(localFile), '', path.basename(localFile), overrides);
+    } else if (this.readEnv()[LOCAL_FILE_VARIABLE]) {
+      throw new Error(`Cannot read ${localFile}: file not found (set by ${LOCAL_FILE_VARIABLE})`);
+    }
+
+    this.applyEnv(config, overrides, warnings);
+
+    const result = this.validator.validate(config);
+    return {
+      config: result.config,
+      errors: result.errors,
+      warnings: [...warnings, ...result.warnings],
+      overrides
+    };
+  }
+
+  readFile(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Environment variables over the .env file, which is re-read on every load
+   */
+  readEnv() {
+    let fromFile = {};
+    if (fs.existsSync(this.envFile)) {
+      fromFile = dotenv.parse(fs.readFileSync(this.envFile));
+    }
+    return { ...fromFile, ...this.env };
+  }
+
+  merge(target, source, at, origin, overrides) {
+    for (const [key, value] of Object.entries(source)) {
+      const keyPath = at ? `${at}.${key}` : key;
+      const current = target[key];
+
+      if (this.isObject(current) && this.isObject(value)) {
+        this.merge(current, value, keyPath, origin, overrides);
+      } else if (this.isKeyedList(current) && value.length > 0 && this.isKeyedList(value)) {
+        for (const entry of value) {
+          const index = current.findIndex(existing => String(existing.id) === String(entry.id));
+          if (index === -1) {
+            current.push(entry);
+            overrides.push({ path: `${keyPath}[${current.length - 1}]`, source: origin });
+          } else {
+            this.merge(current[index], entry, `${keyPath}[${index}]`, origin, overrides);
+          }
+        }
+      } else {
+        target[key] = value;
+        // Unchanged values, such as the id a list entry is matched by, are not overrides
+        if (!key.startsWith('_') && value !== current) overrides.push({ path: keyPath, source: origin });
+      }
+    }
+  }
+
+  applyEnv(config, overrides, warnings) {
+    const env = this.readEnv();
+    const names = Object.keys(env)
+      .filter(name => name.startsWith(ENV_PREFIX) && name !== LOCAL_FILE_VARIABLE)
+      .sort();
+
+    for (const name of names) {
+      if (env[name] === '') continue;
+
+      const segments = name.slice(ENV_PREFIX.length).toUpperCase().split('_');
+      const target = this.resolve(config, this.validator.schema, segments, []);
+      if (!target) {
+        warnings.push(`${name}: does not match any setting (ignored)`);
+        continue;
+      }
+
+      this.setPath(config, target.keys, this.parseValue(env[name], target.schema));
+      overrides.push({ path: this.formatPath(target.keys), source: name });
+    }
+  }
+
+  /**
+   * Find the setting an environment variable name points at
+   * @returns {{ keys: Array<string|number>, schema: Object }|null}
+   */
+  resolve(value, schema, segments, keys) {
+    if (segments.length === 0) return { keys, schema };
+
+    if (Array.isArray(value)) {
+      for (let take = 1; take <= segments.length; take++) {
+        const name = segments.slice(0, take).join('_');
+        const index = value.findIndex((entry, i) => String(i) === name
+          || (entry?.id !== undefined && this.envName(entry.id) === name));
+        if (index !== -1) {
+          const found = this.resolve(value[index], schema?.items, segments.slice(take), [...keys, index]);
+          if (found) return found;
+        }
+      }
+      return null;
+    }
+
+    if (value !== undefined && !this.isObject(value)) return null;
+
+    const candidates = new Set([...Object.keys(value || {}), ...Object.keys(schema?.properties || {})]);
+    const key = [...candidates].find(k => !k.startsWith('_') && k.toUpperCase() === segments[0]);
+    if (!key) return null;
+
+    return this.resolve(value?.[key], schema?.properties?.[key], segments.slice(1), [...keys, key]);
+  }
+
+  envName(id) {
+    return String(id).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  }
+
+  setPath(config, keys, value) {
+    let target = config;
+    for (const key of keys.slice(0, -1)) {
+      if (target[key] === undefined || target[key] === null) target[key] = {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+
+  parseValue(raw, schema) {
+    const types = [].concat(schema?.type || []);
+    if (types.length === 1 && types[0] === 'string' && raw !== 'null') return raw;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+
+  formatPath(keys) {
+    return keys.map((key, i) => (typeof key === 'number' ? `[${key}]` : `${i > 0 ? '.' : ''}${key}`)).join('');
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isKeyedList(value) {
+    return Array.isArray(value) && value.every(entry => this.isObject(entry) && entry.id !== undefined);
+  }
+
+  /**
+   * Copy of a configuration with secret values (API keys, tokens, passwords...) masked
+   */
+  static mask(value, key = '') {
+    if (Array.isArray(value)) return value.map(entry => ConfigLoader.mask(entry, key));
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, ConfigLoader.mask(v, k)]));
+    }
+    if (SECRET_KEY_PATTERN.test(key) && value !== null && value !== undefined && value !== '') {
+      return MASK;
+    }
+    return value;
+  }
+}
+
+module.exports = ConfigLoader;
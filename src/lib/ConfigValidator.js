@@ -0,0 +1,361 @@
+/**
+ * Config Validator - Checks config/default.json against the schema below, fills in
+ * defaults and reports every problem at once with its path, e.g.
+ *   connections[0].type: must be one of "serial", "tcp" (got "Serial")
+ *
+ * Schema nodes: { type, default, required, optional, nullable, enum, min, max,
+ * properties, items, additional }. Objects that are missing are created (so their
+ * defaults apply) unless marked optional. Unknown keys are reported as warnings,
+ * "_comment" keys are always allowed.
+ */
+
+const str = (def, extra = {}) => ({ type: 'string', default: def, ...extra });
+const int = (def, extra = {}) => ({ type: 'integer', default: def, ...extra });
+const bool = (def) => ({ type: 'boolean', default: def });
+const obj = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const arr = (items, def, extra = {}) => ({ type: 'array', items, default: def, ...extra });
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+const CONNECTION = obj({
+  id: { type: ['string', 'integer'] },
+  type: str(undefined, { required: true, enum: ['serial', 'tcp'] }),
+  instrumentId: str(),
+  driver: str(),
+  serial: obj({
+    port: str(undefined, { required: true }),
+    baudRate: int(9600, { min: 1 }),
+    dataBits: int(8, { enum: [5, 6, 7, 8] }),
+    parity: str('none', { enum: ['none', 'even', 'odd', 'mark', 'space'] }),
+    stopBits: { type: 'number', default: 1, enum: [1, 1.5, 2] },
+    useProtocolHandler: bool(true),
+    alarmTime: int(10000, { min: 1 })
+  }, { optional: true }),
+  tcp: obj({
+    port: int(undefined, { required: true, min: 1, max: 65535 }),
+    framing: str(undefined, { enum: ['astm', 'mllp'] }),
+    useProtocolHandler: bool(true),
+    alarmTime: int(10000, { min: 1 })
+  }, { optional: true })
+});
+
+const SCHEMA = obj({
+  server: obj({
+    url: str(undefined, { required: true }),
+    endpoints: obj({
+      reports: str('/api/instruments/results'),
+      heartbeat: str('/api/instruments/heartbeat'),
+      orders: str('/api/instruments/orders')
+    }),
+    timeout: int(30000, { min: 1 }),
+    idempotencyHeader: str('Idempotency-Key')
+  }, { required: true }),
+  instruments: arr(obj({
+    id: str(undefined, { required: true }),
+    type: str(),
+    location: str(),
+    testMapping: obj({
+      file: str(null, { nullable: true }),
+      unmappedPolicy: str('forward', { enum: ['forward', 'hold', 'reject'] })
+    }, { optional: true })
+  }), []),
+  instrument: obj({ id: str(undefined, { required: true }) }, { optional: true, additional: true }),
+  connections: arr(CONNECTION, undefined),
+  connection: { ...CONNECTION, optional: true },
+  drivers: obj({ directory: str(null, { nullable: true }) }),
+  review: obj({ dir: str('./data/review') }),
+  deadLetter: obj({ dir: str('./data/dead-letter') }),
+  dedup: obj({
+    enabled: bool(true),
+    windowMs: int(600000, { min: 0 })
+  }),
+  archive: obj({
+    enabled: bool(true),
+    dir: str('./data/archive'),
+    retentionDays: int(90, { min: 0 })
+  }),
+  audit: obj({
+    enabled: bool(true),
+    dir: str('./data/audit')
+  }),
+  encryption: obj({
+    enabled: bool(false),
+    key: str(null, { nullable: true }),
+    previousKeys: arr({ type: 'string' }, []),
+    keyFile: str(null, { nullable: true })
+  }),
+  retry: obj({
+    maxRetries: int(5, { min: 0 }),
+    delayMs: int(5000, { min: 0 }),
+    maxDelayMs: int(300000, { min: 0 }),
+    exponentialBackoff: bool(true),
+    jitter: bool(true),
+    authPauseMs: int(300000, { min: 0 })
+  }),
+  queue: obj({
+    enabled: bool(true),
+    dir: str('./data/queue'),
+    file: str(),
+    maxSize: int(1000, { min: 1 }),
+    pollIntervalMs: int(1000, { min: 1 }),
+    sendIntervalMs: int(500, { min: 0 }),
+    segmentMaxBytes: int(undefined, { min: 1024 }),
+    compactMinRecords: int(undefined, { min: 1 })
+  }),
+  control: obj({
+    enabled: bool(true),
+    host: str('127.0.0.1'),
+    port: int(8765, { min: 1, max: 65535 }),
+    token: str(null, { nullable: true }),
+    tokenFile: str('./data/control.token')
+  }),
+  reload: obj({
+    watch: bool(true),
+    intervalMs: int(2000, { min: 100 }),
+    drainTimeoutMs: int(30000, { min: 0 })
+  }),
+  logging: obj({
+    level: str('info', { enum: LOG_LEVELS }),
+    file: str('./logs/agent.log'),
+    maxSize: { type: ['string', 'integer'], default: '10m' },
+    maxFiles: int(5, { min: 1 }),
+    redaction: obj({
+      enabled: bool(true),
+      strict: bool(false),
+      fields: arr({ type: 'string' }, ['patientName', 'PatientName', 'DOB', 'dob', 'birthDate', 'PracticePatientID', 'LabPatientID', 'patientId']),
+      strictFields: arr({ type: 'string' }, ['sampleId', 'specimenId', 'specimenIds', 'SpecimenID']),
+      hashKeyFile: str('./data/log-hash.key'),
+      levels: obj(Object.fromEntries(LOG_LEVELS.map(level => [level, str('mask', { enum: ['mask', 'hash', 'off'] })])))
+    })
+  }),
+  security: obj({
+    apiKey: str(null, { nullable: true }),
+    verifySsl: bool(true),
+    tls: obj({
+      cert: str(null, { nullable: true }),
+      key: str(null, { nullable: true }),
+      passphrase: str(null, { nullable: true }),
+      ca: { type: ['string', 'array'], items: { type: 'string' }, nullable: true, default: null },
+      pins: arr({ type: 'string' }, []),
+      expiryWarningDays: int(30, { min: 0 })
+    }),
+    oauth2: obj({
+      enabled: bool(false),
+      tokenUrl: str(null, { nullable: true }),
+      clientId: str(null, { nullable: true }),
+      clientSecret: str(null, { nullable: true }),
+      scope: str(null, { nullable: true }),
+      audience: str(null, { nullable: true }),
+      clientAuth: str('basic', { enum: ['basic', 'post'] }),
+      refreshMarginSeconds: int(60, { min: 0 })
+    })
+  }),
+  heartbeat: obj({
+    enabled: bool(true),
+    intervalMs: int(60000, { min: 1000 })
+  }),
+  autodetect: obj({
+    serialBaudRates: arr({ type: 'integer', min: 1 }, undefined),
+    serialListenMs: int(undefined, { min: 0 }),
+    tcpTimeoutMs: int(undefined, { min: 0 }),
+    maxConcurrent: int(undefined, { min: 1 }),
+    adaptiveListen: bool(undefined),
+    tcpTargets: arr({ type: 'object', additional: true }, undefined)
+  })
+});
+
+class ConfigValidator {
+  constructor(schema = SCHEMA) {
+    this.schema = schema;
+  }
+
+  /**
+   * @param {Object} config - Parsed configuration file
+   * @returns {{ config: Object, errors: string[], warnings: string[] }} config with defaults applied
+   */
+  validate(config) {
+    const result = { errors: [], warnings: [] };
+    if (!this.isType(config, 'object')) {
+      return { config, errors: ['(root): must be a JSON object'], warnings: [] };
+    }
+
+    const normalized = this.check(this.schema, JSON.parse(JSON.stringify(config)), '', result);
+    this.checkCrossFields(normalized, result);
+    return { config: normalized, ...result };
+  }
+
+  check(node, value, at, result) {
+    if (value === undefined) {
+      if (node.required) {
+        result.errors.push(`${at}: is required`);
+        return value;
+      }
+      if (node.default !== undefined) {
+        return node.default === null ? null : JSON.parse(JSON.stringify(node.default));
+      }
+      if (node.type !== 'object' || node.optional || !node.properties) return value;
+      value = {};
+    }
+
+    if (value === null && (node.nullable || node.default === null)) return value;
+
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(type => this.isType(value, type))) {
+      result.errors.push(`${at}: must be ${types.map(type => `a${/^[aeiou]/.test(type) ? 'n' : ''} ${type}`).join(' or ')} (got ${this.describe(value)})`);
+      return value;
+    }
+
+    if (node.enum && !node.enum.includes(value)) {
+      result.errors.push(`${at}: must be one of ${node.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    if (typeof value === 'number') {
+      if (node.min !== undefined && value < node.min) result.errors.push(`${at}: must be at least ${node.min} (got ${value})`);
+      if (node.max !== undefined && value > node.max) result.errors.push(`${at}: must be at most ${node.max} (got ${value})`);
+    }
+
+    if (Array.isArray(value) && node.items) {
+      return value.map((item, i) => this.check(node.items, item, `${at}[${i}]`, result));
+    }
+
+    if (this.isType(value, 'object') && node.properties) {
+      for (const [key, child] of Object.entries(node.properties)) {
+        const checked = this.check(child, value[key], at ? `${at}.${key}` : key, result);
+        if (checked !== undefined) value[key] = checked;
+      }
+      if (!node.additional) {
+        for (const key of Object.keys(value)) {
+          if (!(key in node.properties) && !key.startsWith('_')) {
+            result.warnings.push(`${at ? `${at}.${key}` : key}: unknown setting (ignored)`);
+          }
+        }
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Rules spanning several settings: connection type vs its settings block, unique
+   * connection ids and ports, instrumentId pointing at an instruments[] entry
+   */
+  checkCrossFields(config, result) {
+    const hasList = Array.isArray(config.connections) && config.connections.length > 0;
+    const connections = hasList
+      ? config.connections.map((conn, i) => ({ conn, at: `connections[${i}]` }))
+      : (config.connection ? [{ conn: config.connection, at: 'connection' }] : []);
+
+    if (connections.length === 0) {
+      result.errors.push('connections: at least one connection must be configured');
+      return;
+    }
+
+    const instrumentIds = (config.instruments || []).map(i => i?.id);
+    this.findDuplicates(instrumentIds).forEach(id => {
+      result.errors.push(`instruments: id "${id}" is used more than once`);
+    });
+
+    const ids = new Map();
+    const tcpPorts = new Map();
+    const serialPorts = new Map();
+    for (const { conn, at } of connections) {
+      if (!this.isType(conn, 'object')) continue;
+
+      if (conn.type === 'serial' && !conn.serial) {
+        result.errors.push(`${at}.serial: is required for a serial connection`);
+      }
+      if (conn.type === 'tcp' && !conn.tcp) {
+        result.errors.push(`${at}.tcp: is required for a tcp connection`);
+      }
+
+      const id = conn.id ?? (conn.type === 'tcp' ? conn.tcp?.port : conn.serial?.port);
+      if (id !== undefined) {
+        if (ids.has(String(id))) {
+          result.errors.push(`${at}.id: "${id}" is already used by ${ids.get(String(id))}`);
+        } else {
+          ids.set(String(id), at);
+        }
+      }
+
+      if (conn.type === 'tcp' && conn.tcp?.port !== undefined) {
+        if (tcpPorts.has(conn.tcp.port)) {
+          result.errors.push(`${at}.tcp.port: ${conn.tcp.port} is already used by ${tcpPorts.get(conn.tcp.port)}`);
+        } else {
+          tcpPorts.set(conn.tcp.port, at);
+        }
+      }
+      if (conn.type === 'serial' && conn.serial?.port) {
+        const port = String(conn.serial.port).toUpperCase();
+        if (serialPorts.has(port)) {
+          result.errors.push(`${at}.serial.port: ${conn.serial.port} is already used by ${serialPorts.get(port)}`);
+        } else {
+          serialPorts.set(port, at);
+        }
+      }
+
+      const instrumentId = conn.instrumentId || config.instrument?.id;
+      if (!instrumentId) {
+        result.errors.push(`${at}.instrumentId: is required (or set instrument.id)`);
+      } else if (conn.instrumentId && !instrumentIds.includes(conn.instrumentId)) {
+        result.errors.push(`${at}.instrumentId: "${conn.instrumentId}" does not match any instruments[].id`);
+      }
+    }
+
+    const oauth2 = config.security?.oauth2;
+    if (oauth2?.enabled) {
+      for (const key of ['tokenUrl', 'clientId', 'clientSecret']) {
+        if (!oauth2[key]) result.errors.push(`security.oauth2.${key}: is required when OAuth2 is enabled`);
+      }
+    }
+
+    const encryption = config.encryption;
+    if (encryption?.enabled && !encryption.key && !encryption.keyFile) {
+      result.errors.push('encryption.key: is required when encryption is enabled (or set encryption.keyFile)');
+    }
+    if (encryption?.key && encryption.keyFile) {
+      result.errors.push('encryption.keyFile: cannot be combined with encryption.key');
+    }
+
+    if (config.control?.enabled && tcpPorts.has(config.control.port)) {
+      result.errors.push(`control.port: ${config.control.port} is already used by ${tcpPorts.get(config.control.port)}`);
+    }
+  }
+
+  findDuplicates(values) {
+    return [...new Set(values.filter((value, i) => value !== undefined && values.indexOf(value) !== i))];
+  }
+
+  isType(value, type) {
+    switch (type) {
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeof value === type;
+    }
+  }
+
+  describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'object') return 'an object';
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Human-readable report of a validate() result
+   */
+  static format({ errors, warnings }, source = 'configuration') {
+    const lines = [];
+    if (errors.length > 0) {
+      lines.push(`Invalid ${source} (${errors.length} error${errors.length === 1 ? '' : 's'}):`);
+      errors.forEach(error => lines.push(`  - ${error}`));
+    }
+    if (warnings.length > 0) {
+      lines.push(`Warnings in ${source}:`);
+      warnings.forEach(warning => lines.push(`  - ${warning}`));
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = ConfigValidator;
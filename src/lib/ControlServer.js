@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const metrics = require('./Metrics');
+
+const LOCAL_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+/**
+ * Control Server - Local HTTP status and control API for the agent
+ *
+ *   GET  /status                          Connections, queue, last message per instrument, counters
+ *   GET  /metrics                         Prometheus metrics (text exposition format)
+ *   POST /queue/flush                     Attempt every queued item now
+ *   POST /queue/pause                     Pause delivery
+ *   POST /queue/resume                    Resume delivery
+ *   POST /connections/:id/reconnect       Close and reopen one reader
+ *   POST /config/reload                   Re-read the configuration file
+ *
+ * Binds to 127.0.0.1 by default. Every request must send "Authorization: Bearer <token>"
+ * with control.token, or else the token generated into control.tokenFile on first start.
+ * Browser requests are refused so a web page cannot reach the API (DNS rebinding, CSRF):
+ * the Host header must name this machine (127.0.0.1, localhost, or control.host), any
+ * Origin header is rejected, and POST requests must be sent as application/json.
+ */
+class ControlServer {
+  constructor(config, logger, agent) {
+    this.logger = logger;
+    this.agent = agent;
+    this.host = config.control?.host || '127.0.0.1';
+    this.port = config.control?.port || 8765;
+    this.token = config.control?.token || null;
+    this.tokenFile = config.control?.tokenFile || './data/control.token';
+    this.allowedHosts = new Set([...LOCAL_HOSTS, this.host.includes(':') ? `[${this.host}]` : this.host]);
+    this.server = null;
+    this.routes = [];
+
+    this.route('GET', /^\/status$/, () => this.agent.getStatus());
+    this.route('GET', /^\/metrics$/, () => metrics.register.metrics(), metrics.register.contentType);
+    this.route('POST', /^\/queue\/flush$/, () => this.agent.flushQueue());
+    this.route('POST', /^\/queue\/pause$/, () => this.agent.pauseDelivery());
+    this.route('POST', /^\/queue\/resume$/, () => this.agent.resumeDelivery());
+    this.route('POST', /^\/connections\/([^/]+)\/reconnect$/, (id) => this.agent.reconnectReader(id));
+    this.route('POST', /^\/config\/reload$/, () => this.agent.reloadConfig());
+  }
+
+  /**
+   * Register a handler; capture groups of the path pattern are passed as arguments.
+   * Handlers return (or resolve to) the JSON response body, or null for 404.
+   * With a contentType, the handler's string result is sent as-is.
+   */
+  route(method, pattern, handler, contentType = null) {
+    this.routes.push({ method, pattern, handler, contentType });
+  }
+
+  /**
+   * Read the token from control.tokenFile, generating it (owner-only file) on first start
+   */
+  loadToken() {
+    if (this.token) return;
+
+    if (fs.existsSync(this.tokenFile)) {
+      this.token = fs.readFileSync(this.tokenFile, 'utf8').trim();
+    }
+    if (!this.token) {
+      this.token = crypto.randomBytes(32).toString('hex');
+      fs.mkdirSync(path.dirname(this.tokenFile), { recursive: true });
+      fs.writeFileSync(this.tokenFile, this.token + '\n', { mode: 0o600 });
+      this.logger.info(`Control API token generated in ${this.tokenFile}`);
+    }
+  }
+
+  start() {
+    if (this.server) return Promise.resolve();
+
+    try {
+      this.loadToken();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.logger.error('Control API request failed:', error.message);
+        if (!res.headersSent) this.send(res, 500, { error: 'Internal error' });
+      });
+    });
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        this.logger.info(`Control API listening on http://${this.host}:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  async handleRequest(req, res) {
+    if (!this.isAllowedHost(req.headers.host) || req.headers.origin !== undefined) {
+      return this.send(res, 403, { error: 'Forbidden' });
+    }
+    if (!this.isAuthorized(req.headers.authorization)) {
+      return this.send(res, 401, { error: 'Unauthorized' });
+    }
+
+    let pathname;
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname;
+      decodeURIComponent(pathname); // Malformed escapes would fail in the route parameters
+    } catch (error) {
+      return this.send(res, 400, { error: 'Bad request target' });
+    }
+
+    const matches = this.routes.filter(r => r.pattern.test(pathname));
+    if (matches.length === 0) {
+      return this.send(res, 404, { error: 'Not found' });
+    }
+
+    const route = matches.find(r => r.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', matches.map(r => r.method).join(', '));
+      return this.send(res, 405, { error: 'Method not allowed' });
+    }
+    if (req.method === 'POST' && !/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+      return this.send(res, 415, { error: 'Content-Type must be application/json' });
+    }
+
+    try {
+      const params = pathname.match(route.pattern).slice(1).map(decodeURIComponent);
+      const body = await route.handler(...params);
+      if (body === null || body === undefined) {
+        return this.send(res, 404, { error: 'Not found' });
+      }
+      this.send(res, 200, body, route.contentType);
+    } catch (error) {
+      this.logger.error(`Control API ${req.method} ${pathname} failed:`, error.message);
+      this.send(res, 500, { error: error.message });
+    }
+  }
+
+  /**
+   * @param {string} [host] - Host header: a name of this machine, with or without port
+   */
+  isAllowedHost(host) {
+    if (!host) return false;
+    const name = host.replace(/:\d+$/, '').toLowerCase();
+    return this.allowedHosts.has(name);
+  }
+
+  isAuthorized(authorization) {
+    const expected = Buffer.from(`Bearer ${this.token}`);
+    const actual = Buffer.from(authorization || '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  send(res, status, body, contentType = null) {
+    if (contentType) {
+      res.writeHead(status, { 'Content-Type': contentType });
+      return res.end(body);
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+}
+
+module.exports = ControlServer;
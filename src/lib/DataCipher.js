@@ -0,0 +1,158 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const KEY_BYTES = 32;
+
+/**
+ * Data Cipher - AES-256-GCM encryption of stored patient data (queue journal, inbox,
+ * raw archive, dead letters, review entries)
+ *
+ * Values are JSON-serialized and stored as one string:
+ *   enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>      (base64 parts)
+ * keyId is derived from the key itself (first 8 hex digits of its SHA-256), so the
+ * right key is found without naming keys.
+ *
+ * Keys (base64, 32 bytes) come from encryption.key / encryption.previousKeys (usually
+ * LIS_ENCRYPTION_KEY) or from encryption.keyFile: either one base64 key, or
+ *   { "key": "<active>", "previousKeys": ["<older>", ...] }
+ * New data is written with `key`; previous keys only decrypt. Values that are not
+ * encrypted are passed through, so existing plain files stay readable.
+ */
+class DataCipher {
+  constructor(config, logger) {
+    this.logger = logger;
+    const settings = config.encryption || {};
+    this.enabled = !!settings.enabled;
+    this.keys = new Map(); // keyId -> Buffer
+    this.activeKeyId = null;
+
+    const { key, previousKeys } = settings.keyFile ? this.readKeyFile(settings.keyFile) : settings;
+    if (key) {
+      this.activeKeyId = this.addKey(key, 'encryption.key');
+    }
+    (previousKeys || []).forEach((previous, i) => this.addKey(previous, `encryption.previousKeys[${i}]`));
+
+    if (this.enabled && !this.activeKeyId) {
+      throw new Error('Encryption is enabled but no key is configured (encryption.key, LIS_ENCRYPTION_KEY or encryption.keyFile)');
+    }
+  }
+
+  readKeyFile(file) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8').trim();
+    } catch (error) {
+      throw new Error(`Cannot read encryption key file ${file}: ${error.message}`);
+    }
+    if (!content.startsWith('{')) {
+      return { key: content, previousKeys: [] };
+    }
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid encryption key file ${file}: ${error.message}`);
+    }
+  }
+
+  addKey(encoded, setting) {
+    const key = Buffer.from(String(encoded).trim(), 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`${setting} must be a base64-encoded ${KEY_BYTES}-byte key (got ${key.length} bytes)`);
+    }
+    const keyId = DataCipher.keyId(key);
+    this.keys.set(keyId, key);
+    return keyId;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  keyIdOf(value) {
+    return this.isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+  }
+
+  /**
+   * Whether a stored value should be rewritten: encrypted with a retired key, or
+   * still plain while encryption is enabled
+   */
+  isStale(value) {
+    if (!this.enabled) return false;
+    return this.keyIdOf(value) !== this.activeKeyId;
+  }
+
+  /**
+   * @returns {*} The encrypted form of value, or value itself when encryption is disabled
+   */
+  encrypt(value) {
+    if (!this.enabled || value === undefined || value === null) return value;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.activeKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return `${PREFIX}${this.activeKeyId}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+  }
+
+  /**
+   * @throws {Error} when the key is unknown or the data was altered
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(`Data is encrypted with key ${keyId}, which is not configured (add it to encryption.previousKeys)`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Copy of record with the named fields encrypted
+   */
+  sealFields(record, fields) {
+    const sealed = { ...record };
+    for (const field of fields) {
+      if (field in sealed) sealed[field] = this.encrypt(sealed[field]);
+    }
+    return sealed;
+  }
+
+  /**
+   * Copy of record with the named fields decrypted
+   */
+  openFields(record, fields) {
+    const opened = { ...record };
+    for (const field of fields) {
+      if (field in opened) opened[field] = this.decrypt(opened[field]);
+    }
+    return opened;
+  }
+
+  /**
+   * Decrypt every encrypted value anywhere in a parsed JSON structure (troubleshooting)
+   */
+  decryptDeep(value) {
+    if (this.isEncrypted(value)) return this.decryptDeep(this.decrypt(value));
+    if (Array.isArray(value)) return value.map(entry => this.decryptDeep(entry));
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.decryptDeep(v)]));
+    }
+    return value;
+  }
+
+  static keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+  }
+
+  static generateKey() {
+    return crypto.randomBytes(KEY_BYTES).toString('base64');
+  }
+}
+
+module.exports = DataCipher;
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Fields holding patient data, encrypted when a cipher is enabled (see DataCipher)
+const SEALED_FIELDS = ['raw', 'payload'];
+const INBOX_SEALED_FIELDS = ['context', 'data']; // As read by QueueManager.importInbox
+
+/**
+ * Dead Letter Store - Results that could not be delivered (max retries exceeded,
+ * rejected by the backend, or pushed out of a full queue). Each entry keeps the
+ * original raw message, the backend payload, the last error and the attempt history,
+ * one JSON file per entry, until it is requeued or removed (see src/tools/deadLetters.js).
+ */
+class DeadLetterStore {
+  constructor(config, logger, options = {}) {
+    this.logger = logger;
+    this.dir = config.deadLetter?.dir || './data/dead-letter';
+    this.cipher = options.cipher || null;
+  }
+
+  ensureDir() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * @param {string} reason - max_retries | rejected | queue_full | review_failed | journal_corrupt
+   * @param {Object} item - Queue item ({ id, timestamp, attempts, lastError, history, context, data })
+   * @returns {string} Entry id
+   */
+  add(reason, item) {
+    this.ensureDir();
+    const id = `${Date.now()}-${crypto.randomUUID()}`;
+    const context = item.context || {};
+    const record = {
+      id,
+      createdAt: new Date().toISOString(),
+      reason,
+      queueItemId: item.id || null,
+      queuedAt: item.timestamp || null,
+      instrumentId: context.instrumentId || null,
+      connectionId: context.connectionId || null,
+      messageId: context.messageId || null,
+      idempotencyKey: context.idempotencyKey || null,
+      raw: context.raw || null,
+      payload: item.data,
+      attempts: item.attempts || 0,
+      lastError: item.lastError || null,
+      history: item.history || []
+    };
+
+    // Write then rename so a crash never leaves a half-written entry
+    const file = path.join(this.dir, `${id}.json`);
+    this.write(file, record);
+
+    this.logger.error(`Result moved to dead letters: ${reason}`, {
+      id,
+      instrumentId: record.instrumentId,
+      specimenIds: this.specimenIds(record),
+      lastError: record.lastError
+    });
+    return id;
+  }
+
+  ids() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(f => f.endsWith('.json'))
+      .sort()
+      .map(f => path.basename(f, '.json'));
+  }
+
+  list() {
+    return this.ids().map(id => this.get(id)).filter(Boolean);
+  }
+
+  write(file, record) {
+    const stored = this.cipher ? this.cipher.sealFields(record, SEALED_FIELDS) : record;
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(stored, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  get(id) {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(path.join(this.dir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+    return this.cipher ? this.cipher.openFields(stored, SEALED_FIELDS) : stored;
+  }
+
+  /**
+   * Rewrite an entry with the active encryption key
+   */
+  reseal(id) {
+    const record = this.get(id);
+    if (!record) return false;
+    this.write(path.join(this.dir, `${id}.json`), record);
+    return true;
+  }
+
+  remove(id) {
+    const file = path.join(this.dir, `${id}.json`);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  size() {
+    return fs.existsSync(this.dir) ? fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).length : 0;
+  }
+
+  /**
+   * Hand an entry back to the delivery queue through its inbox directory, which the
+   * running agent imports (see QueueManager.importInbox), then remove it from here
+   * @param {string} [requestedBy] - Operator account, recorded in the item history and audit log
+   */
+  requeue(id, inboxDir, requestedBy = null) {
+    const record = this.get(id);
+    if (!record) return false;
+
+    if (!fs.existsSync(inboxDir)) {
+      fs.mkdirSync(inboxDir, { recursive: true });
+    }
+
+    const item = {
+      timestamp: record.queuedAt || record.createdAt,
+      history: [...record.history, { at: new Date().toISOString(), event: 'requeued', deadLetterId: id, by: requestedBy }],
+      context: {
+        raw: record.raw,
+        instrumentId: record.instrumentId,
+        connectionId: record.connectionId,
+        messageId: record.messageId,
+        // Replays carry their own key (see LISAgent.handleDataWithContext)
+        ...(record.idempotencyKey && { idempotencyKey: record.idempotencyKey })
+      },
+      data: record.payload
+    };
+
+    const file = path.join(inboxDir, `${id}.json`);
+    const stored = this.cipher ? this.cipher.sealFields(item, INBOX_SEALED_FIELDS) : item;
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(stored));
+    fs.renameSync(`${file}.tmp`, file);
+    this.remove(id);
+    this.logger.info('Dead letter requeued', { id });
+    return true;
+  }
+
+  specimenIds(record) {
+    const patients = Array.isArray(record.payload) ? record.payload : [record.payload];
+    return patients.flatMap(p => (p?.Orders || []).map(o => o.SpecimenID)).filter(Boolean);
+  }
+}
+
+module.exports = DeadLetterStore;
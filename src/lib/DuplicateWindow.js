@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+
+/**
+ * Duplicate Window - Message ids accepted recently, so an instrument retransmitting the
+ * same results (typically after a lost ACK) within dedup.windowMs is not forwarded twice
+ */
+class DuplicateWindow {
+  constructor(config, logger) {
+    this.logger = logger;
+    this.windowMs = config.dedup?.windowMs ?? 600000;
+    this.enabled = config.dedup?.enabled !== false && this.windowMs > 0;
+    this.seen = new Map(); // messageId -> accepted at (ms), oldest first
+  }
+
+  has(messageId) {
+    if (!this.enabled || !messageId) return false;
+    this.prune();
+    return this.seen.has(messageId);
+  }
+
+  remember(messageId) {
+    if (!this.enabled || !messageId) return;
+    this.seen.delete(messageId); // Re-insert to keep the map in time order
+    this.seen.set(messageId, Date.now());
+  }
+
+  prune(now = Date.now()) {
+    for (const [messageId, acceptedAt] of this.seen) {
+      if (now - acceptedAt <= this.windowMs) break;
+      this.seen.delete(messageId);
+    }
+  }
+
+  size() {
+    return this.seen.size;
+  }
+
+  /**
+   * Stable id of a parsed result message: SHA-256 over the instrument and, for each
+   * result, specimen id, test code, result time (ASTM R-13 / HL7 OBX-14, falling back to
+   * the message time H-14 / MSH-7), value and units. A corrected value sent for the same
+   * test at the same time gets a new id.
+   * @returns {string|null} null when the message carries no results
+   */
+  static messageId(parsedData, instrumentId) {
+    const parts = [];
+    const add = (specimenId, result, fallbackTime) => {
+      parts.push([
+        specimenId || '',
+        result.testCode || '',
+        result.completedAt || fallbackTime || '',
+        result.value ?? '',
+        result.unit || ''
+      ].join('|'));
+    };
+
+    if (parsedData.recordType === 'HL7') {
+      const messageTime = parsedData.get('MSH-7');
+      for (const result of parsedData.results || []) {
+        add(parsedData.sampleId, result, messageTime);
+      }
+    } else {
+      for (const message of parsedData.messages || []) {
+        for (const patient of message.patients) {
+          for (const order of patient.orders) {
+            for (const result of order.results) {
+              add(order.specimenId, result, message.header?.timestamp);
+            }
+          }
+        }
+      }
+    }
+
+    if (parts.length === 0) return null;
+    return crypto.createHash('sha256')
+      .update([instrumentId || '', ...parts.sort()].join('\n'))
+      .digest('hex');
+  }
+}
+
+module.exports = DuplicateWindow;
@@ -0,0 +1,138 @@
+/**
+ * HL7 v2 message model
+ * Segments keep their raw fields (split on the field separator only) and expose
+ * component-, repetition- and escape-aware accessors using the encoding characters
+ * declared in MSH-1/MSH-2.
+ *
+ * Paths follow HL7 notation: "PID-5.1" (PID-5, component 1), "OBX-3.1", "OBX-7",
+ * "PID-3.4.2" (component 4, subcomponent 2).
+ */
+
+const DEFAULT_ENCODING = {
+  field: '|',
+  component: '^',
+  repetition: '~',
+  escape: '\\',
+  subcomponent: '&'
+};
+
+class HL7Segment {
+  constructor(type, fields, encoding = DEFAULT_ENCODING) {
+    this.type = type;
+    this.fields = fields; // fields[0] is the segment type
+    this.encoding = encoding;
+  }
+
+  /**
+   * Raw (undecoded) value of field n using HL7 numbering
+   * MSH-1 is the field separator itself, so MSH-n lives at fields[n - 1]
+   */
+  rawField(n) {
+    if (this.type === 'MSH') {
+      if (n === 1) return this.encoding.field;
+      return this.fields[n - 1] || '';
+    }
+    return this.fields[n] || '';
+  }
+
+  /**
+   * Field repetitions, each split into decoded components
+   * @returns {Array<Array<string>>}
+   */
+  repetitions(n) {
+    const raw = this.rawField(n);
+    if (raw === '') return [];
+    if (this.isEncodingField(n)) return [[raw]];
+
+    return raw.split(this.encoding.repetition)
+      .map(rep => rep.split(this.encoding.component).map(c => this.decode(c)));
+  }
+
+  /**
+   * Decoded value at field/component/subcomponent (first repetition unless given)
+   * Without a component the whole repetition is returned with escapes decoded
+   */
+  get(fieldNo, component, subcomponent, repetition = 1) {
+    if (typeof fieldNo === 'string') {
+      [fieldNo, component, subcomponent] = fieldNo.split('.').map(n => parseInt(n, 10));
+    }
+
+    const raw = this.rawField(fieldNo);
+    if (this.isEncodingField(fieldNo)) return raw;
+
+    const rep = raw.split(this.encoding.repetition)[repetition - 1] || '';
+    if (!component) return this.decode(rep);
+
+    const comp = rep.split(this.encoding.component)[component - 1] || '';
+    if (!subcomponent) return this.decode(comp);
+
+    return this.decode(comp.split(this.encoding.subcomponent)[subcomponent - 1] || '');
+  }
+
+  isEncodingField(n) {
+    return this.type === 'MSH' && (n === 1 || n === 2);
+  }
+
+  /**
+   * Decode escape sequences: \F\ \S\ \T\ \R\ \E\, \Xhh..\ hex data and \.br\
+   * Formatting sequences (\H\, \N\) are dropped; unknown ones are left untouched
+   */
+  decode(value) {
+    const esc = this.encoding.escape;
+    if (!value || !esc || !value.includes(esc)) return value || '';
+
+    const e = esc.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`${e}([^${e}]*)${e}`, 'g');
+
+    return value.replace(pattern, (match, seq) => {
+      switch (seq) {
+        case 'F': return this.encoding.field;
+        case 'S': return this.encoding.component;
+        case 'T': return this.encoding.subcomponent;
+        case 'R': return this.encoding.repetition;
+        case 'E': return this.encoding.escape;
+        case '.br': return '\n';
+        case 'H':
+        case 'N': return '';
+        default:
+          if (/^X([0-9A-Fa-f]{2})+$/.test(seq)) {
+            return Buffer.from(seq.substring(1), 'hex').toString('latin1');
+          }
+          return match;
+      }
+    });
+  }
+}
+
+class HL7Message {
+  constructor(segments, encoding = DEFAULT_ENCODING) {
+    this.recordType = 'HL7';
+    this.segments = segments;
+    this.encoding = encoding;
+  }
+
+  getSegment(type) {
+    return this.segments.find(s => s.type === type) || null;
+  }
+
+  getSegments(type) {
+    return this.segments.filter(s => s.type === type);
+  }
+
+  /**
+   * Decoded value from the first segment of a type, e.g. get('PID-5.1')
+   */
+  get(path) {
+    const match = /^([A-Z0-9]{3})-(\d+(?:\.\d+){0,2})$/.exec(path);
+    if (!match) throw new Error(`Invalid HL7 path: ${path}`);
+
+    const segment = this.getSegment(match[1]);
+    return segment ? segment.get(match[2]) : '';
+  }
+}
+
+module.exports = {
+  HL7Message,
+  HL7Segment,
+  DEFAULT_ENCODING
+};
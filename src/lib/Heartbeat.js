@@ -1,3 +1,5 @@
+const metrics = require('./Metrics');
+
 class Heartbeat {
   constructor(config, logger) {
     this.config = config;
@@ -25,8 +27,11 @@ class Heartbeat {
     if (this.callback) {
       try {
         await this.callback();
+        metrics.heartbeats.inc({ result: 'success' });
+        metrics.lastHeartbeatSuccess.set(Date.now() / 1000);
         this.logger.debug('Heartbeat sent');
       } catch (error) {
+        metrics.heartbeats.inc({ result: 'failure' });
         this.logger.debug('Heartbeat failed:', error.message);
       }
     }
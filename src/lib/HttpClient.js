@@ -1,5 +1,19 @@
+const fs = require('fs');
+const tls = require('tls');
+const crypto = require('crypto');
 const axios = require('axios');
 const https = require('https');
+const metrics = require('./Metrics');
+const OAuth2TokenProvider = require('./OAuth2TokenProvider');
+
+/**
+ * Response classes for non-2xx outcomes, set as `category` on errors from handleError:
+ *   retryable  - network errors, timeouts, 408, 429, 5xx: try again later
+ *   auth       - 401/403: credentials are wrong or expired, retrying will not help until fixed
+ *   validation - other 4xx: the backend rejected this payload, it must be reviewed
+ */
+const AUTH_STATUSES = [401, 403];
+const RETRYABLE_STATUSES = [408, 429];
 
 class HttpClient {
   constructor(config, logger) {
@@ -8,31 +22,57 @@ class HttpClient {
     this.baseURL = config.server.url;
     this.apiKey = config.security.apiKey;
     this.timeout = config.server.timeout || 30000;
+    this.idempotencyHeader = config.server.idempotencyHeader || 'Idempotency-Key';
+    this.tls = config.security.tls || {};
+    this.expiryWarningDays = this.tls.expiryWarningDays ?? 30;
+    this.pins = (this.tls.pins || []).map(pin => this.normalizePin(pin));
+    this.clientCertificate = null; // { subject, issuer, validTo, fingerprint256 }
+    this.serverCertificate = null; // Last certificate presented by the backend
+    this.expiryWarnedAt = new Map(); // certificate fingerprint -> last warning (ms)
 
-    // Setup axios instance with default config
+    // Setup axios instance with default config; TLS settings stay on this instance's agent
+    this.httpsAgent = this.createHttpsAgent(config.security);
     this.client = axios.create({
       baseURL: this.baseURL,
       timeout: this.timeout,
+      httpsAgent: this.httpsAgent,
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'LIS-Client-Agent/1.0'
       },
-      validateStatus: (status) => status < 500, // Don't throw on 4xx
+      validateStatus: (status) => status >= 200 && status < 300, // Non-2xx is classified in handleError
     });
 
-    // Add API key if configured
-    if (this.apiKey) {
-      this.client.defaults.headers.common['Authorization'] = `Bearer ${this.apiKey}`;
+    // OAuth2 client credentials take precedence over a static API key
+    const oauth2 = config.security.oauth2;
+    this.tokenProvider = oauth2?.enabled
+      ? new OAuth2TokenProvider(oauth2, logger, {
+        httpsAgent: this.httpsAgent,
+        timeout: this.timeout,
+        authPauseMs: config.retry?.authPauseMs,
+        failureBackoffMs: config.retry?.delayMs
+      })
+      : null;
+    if (this.tokenProvider && this.apiKey) {
+      this.logger.warn('security.oauth2 is enabled - security.apiKey is ignored');
     }
 
-    // Setup SSL verification
-    if (!config.security.verifySsl) {
-      https.globalAgent.options.rejectUnauthorized = false;
+    // Add API key if configured
+    if (this.apiKey && !this.tokenProvider) {
+      this.client.defaults.headers.common['Authorization'] = `Bearer ${this.apiKey}`;
     }
 
-    // Request interceptor for logging
+    // Request interceptor for logging, the access token and the idempotency key
+    // (pass { idempotencyKey } in the request config; retries of the same message reuse it)
     this.client.interceptors.request.use(
-      (config) => {
+      async (config) => {
+        config.startedAt = Date.now();
+        if (this.tokenProvider) {
+          config.headers['Authorization'] = `Bearer ${await this.tokenProvider.getToken()}`;
+        }
+        if (config.idempotencyKey) {
+          config.headers[this.idempotencyHeader] = config.idempotencyKey;
+        }
         this.logger.debug('HTTP request:', {
           method: config.method,
           url: config.url,
@@ -49,6 +89,7 @@ class HttpClient {
     // Response interceptor for logging
     this.client.interceptors.response.use(
       (response) => {
+        this.recordMetrics(response.config, response.status);
         this.logger.debug('HTTP response:', {
           status: response.status,
           url: response.config.url
@@ -56,6 +97,17 @@ class HttpClient {
         return response;
       },
       (error) => {
+        if (error.config) {
+          this.recordMetrics(error.config, error.response?.status || 'network');
+        }
+
+        // The token may have been revoked or expired early - retry once with a fresh one
+        if (this.tokenProvider && error.response?.status === 401 && !error.config.tokenRetried) {
+          this.logger.warn('Backend rejected the access token - retrying with a new one');
+          this.tokenProvider.invalidate();
+          return this.client.request({ ...error.config, tokenRetried: true });
+        }
+
         this.logger.error('HTTP response error:', {
           message: error.message,
           code: error.code,
@@ -66,6 +118,158 @@ class HttpClient {
     );
   }
 
+  /**
+   * HTTPS agent for backend requests: client certificate and key (mutual TLS), extra CA
+   * certificates and pinning from security.tls. Pinning needs verification, so it
+   * overrides verifySsl: false.
+   */
+  createHttpsAgent(security) {
+    const options = {
+      keepAlive: true,
+      rejectUnauthorized: security.verifySsl !== false || this.pins.length > 0
+    };
+
+    if (this.tls.cert || this.tls.key) {
+      if (!this.tls.cert || !this.tls.key) {
+        throw new Error('security.tls.cert and security.tls.key must be set together');
+      }
+      options.cert = this.readPem(this.tls.cert, 'security.tls.cert');
+      options.key = this.readPem(this.tls.key, 'security.tls.key');
+      options.passphrase = this.tls.passphrase || undefined;
+      this.clientCertificate = this.describeCertificate(new crypto.X509Certificate(options.cert));
+      this.logger.info('Client certificate loaded for mutual TLS', this.clientCertificate);
+      this.checkCertificateExpiry();
+    }
+
+    if (this.tls.ca) {
+      // Added to Node's default roots rather than replacing them
+      const extra = [].concat(this.tls.ca).map((file, i) => this.readPem(file, `security.tls.ca[${i}]`));
+      options.ca = [...tls.rootCertificates, ...extra];
+    }
+
+    if (this.pins.length > 0) {
+      options.checkServerIdentity = (host, cert) => this.checkServerIdentity(host, cert);
+    } else {
+      options.checkServerIdentity = (host, cert) => {
+        this.recordServerCertificate(cert);
+        return tls.checkServerIdentity(host, cert);
+      };
+    }
+
+    return new https.Agent(options);
+  }
+
+  readPem(file, setting) {
+    try {
+      return fs.readFileSync(file);
+    } catch (error) {
+      throw new Error(`Cannot read ${setting} (${file}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Hostname check, then require the certificate or one in its chain to match a pin:
+   * a certificate SHA-256 fingerprint ("AB:CD:...") or a public key pin ("sha256/<base64>")
+   */
+  checkServerIdentity(host, cert) {
+    this.recordServerCertificate(cert);
+    const error = tls.checkServerIdentity(host, cert);
+    if (error) return error;
+
+    const seen = new Set();
+    for (let current = cert; current && !seen.has(current); current = current.issuerCertificate) {
+      seen.add(current);
+      const keyPin = `sha256/${crypto.createHash('sha256').update(current.pubkey || '').digest('base64')}`;
+      if (this.pins.includes(this.normalizePin(current.fingerprint256)) || this.pins.includes(keyPin)) {
+        return undefined;
+      }
+    }
+
+    this.logger.error('Backend certificate does not match any pinned certificate', {
+      host,
+      subject: cert.subject?.CN,
+      fingerprint256: cert.fingerprint256
+    });
+    return new Error(`Certificate pinning failed for ${host}`);
+  }
+
+  normalizePin(pin) {
+    const value = String(pin).trim();
+    return value.startsWith('sha256/') ? value : value.replace(/:/g, '').toUpperCase();
+  }
+
+  recordServerCertificate(cert) {
+    if (!cert || !cert.valid_to) return;
+    this.serverCertificate = {
+      subject: cert.subject?.CN || null,
+      issuer: cert.issuer?.CN || null,
+      validTo: new Date(cert.valid_to).toISOString(),
+      fingerprint256: cert.fingerprint256
+    };
+    this.checkCertificateExpiry();
+  }
+
+  describeCertificate(x509) {
+    return {
+      subject: x509.subject.split('\n').find(part => part.startsWith('CN='))?.slice(3) || x509.subject,
+      issuer: x509.issuer.split('\n').find(part => part.startsWith('CN='))?.slice(3) || x509.issuer,
+      validTo: new Date(x509.validTo).toISOString(),
+      fingerprint256: x509.fingerprint256
+    };
+  }
+
+  /**
+   * Client and last seen backend certificate, with days until expiry (for heartbeat and status)
+   */
+  certificateStatus() {
+    const describe = (cert) => cert && ({
+      ...cert,
+      daysLeft: Math.floor((Date.parse(cert.validTo) - Date.now()) / 86400000)
+    });
+    return {
+      client: describe(this.clientCertificate),
+      server: describe(this.serverCertificate)
+    };
+  }
+
+  /**
+   * Warn (at most once a day per certificate) when a certificate expires within
+   * security.tls.expiryWarningDays
+   * @returns {Array} Certificates expiring soon, with their role
+   */
+  checkCertificateExpiry() {
+    const status = this.certificateStatus();
+    const expiring = [];
+
+    for (const role of ['client', 'server']) {
+      const cert = status[role];
+      if (!cert || cert.daysLeft > this.expiryWarningDays) continue;
+      expiring.push({ role, ...cert });
+
+      const warnedAt = this.expiryWarnedAt.get(cert.fingerprint256) || 0;
+      if (Date.now() - warnedAt >= 86400000) {
+        this.expiryWarnedAt.set(cert.fingerprint256, Date.now());
+        const when = cert.daysLeft < 0 ? `expired ${-cert.daysLeft} day(s) ago` : `expires in ${cert.daysLeft} day(s)`;
+        this.logger.warn(`TLS ${role} certificate ${when}`, cert);
+      }
+    }
+    return expiring;
+  }
+
+  /**
+   * Latency and status code per endpoint for the metrics endpoint
+   */
+  recordMetrics(requestConfig, status) {
+    const labels = {
+      method: (requestConfig.method || 'get').toUpperCase(),
+      endpoint: String(requestConfig.url || '').split('?')[0]
+    };
+    if (requestConfig.startedAt) {
+      metrics.httpDuration.observe(labels, (Date.now() - requestConfig.startedAt) / 1000);
+    }
+    metrics.httpResponses.inc({ ...labels, status: String(status) });
+  }
+
   async get(endpoint, config = {}) {
     try {
       const response = await this.client.get(endpoint, config);
@@ -102,25 +306,76 @@ class HttpClient {
     }
   }
 
+  /**
+   * @returns {string} success | retryable | auth | validation
+   */
+  classifyStatus(status) {
+    if (status >= 200 && status < 300) return 'success';
+    if (AUTH_STATUSES.includes(status)) return 'auth';
+    if (status >= 500 || RETRYABLE_STATUSES.includes(status)) return 'retryable';
+    return 'validation';
+  }
+
+  /**
+   * Normalize an axios error. The returned error carries:
+   *   category     - retryable | auth | validation (see classifyStatus)
+   *   retryable    - false only for validation rejections; auth failures are kept for
+   *                  retry once credentials are fixed
+   *   status       - HTTP status, if the server responded
+   *   body         - the backend's response body, unmodified
+   *   retryAfterMs - delay requested by the server's Retry-After header, if any
+   */
   handleError(error) {
     if (error.response) {
       // Server responded with error status
+      const status = error.response.status;
+      const body = error.response.data;
       const errorMessage = {
-        status: error.response.status,
+        status,
         statusText: error.response.statusText,
-        message: error.response.data?.message || 'Server error',
+        message: body?.message || body?.error || (typeof body === 'string' && body) || 'Server error',
         url: error.config.url
       };
-      return new Error(JSON.stringify(errorMessage));
+      const result = new Error(JSON.stringify(errorMessage));
+      result.status = status;
+      result.body = body;
+      result.category = this.classifyStatus(status);
+      result.retryable = result.category !== 'validation';
+      result.retryAfterMs = this.parseRetryAfter(error.response.headers?.['retry-after']);
+      return result;
     } else if (error.request) {
       // Request made but no response
-      return new Error('No response from server. Network error or server unreachable.');
+      // The cause tells TLS failures (certificate, pinning) from unreachable servers
+      const result = new Error(`No response from server. Network error or server unreachable: ${error.message}`);
+      result.code = error.code;
+      result.category = 'retryable';
+      result.retryable = true;
+      return result;
     } else {
-      // Error in request setup
+      // Error in request setup - retried so a later config fix can still deliver the item.
+      // Token endpoint errors arrive here already classified.
+      error.category = error.category || 'retryable';
+      error.retryable = error.retryable ?? true;
       return error;
     }
   }
 
+  /**
+   * Retry-After is either delay-seconds or an HTTP date
+   * @returns {number|null} Milliseconds to wait
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
   isServerReachable() {
     return this.client.get('/health')
       .then(() => true)
@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Journal - Durable append-only key/value store (write-ahead log)
+ *
+ * Every change is appended as one checksummed JSON line and fsync'd before the call
+ * returns, so a power cut can at worst lose a torn last line, never earlier entries.
+ *
+ *   {"s":42,"op":"put","id":"41","v":{...},"c":"9f2c..."}   s = sequence, c = checksum
+ *   op: put | del | mark (compaction marker carrying the last issued id; replay
+ *       starts over from it, as the compacted segment holds every live entry)
+ *
+ * Segments (000001.log, 000002.log...) rotate at segmentMaxBytes. When most records are
+ * obsolete the live entries are rewritten into a fresh segment and older ones deleted.
+ * Ids from nextId() are monotonic across restarts (recovered from the log).
+ *
+ * With options.cipher (see DataCipher) put values are stored encrypted; records written
+ * with a retired key (or before encryption was enabled) trigger a compaction, which
+ * rewrites them with the active key.
+ *
+ * A corrupt record is skipped on recovery, but it may have been the `del` of an entry
+ * that is now live again. Entries written before a corrupt record that names them (or
+ * before one too damaged to name anything) are reported by suspects() so the owner can
+ * decide what to do with them.
+ */
+class Journal {
+  constructor(options, logger) {
+    this.dir = options.dir;
+    this.segmentMaxBytes = options.segmentMaxBytes || 4 * 1024 * 1024;
+    this.compactMinRecords = options.compactMinRecords || 1000;
+    this.cipher = options.cipher || null;
+    this.logger = logger;
+
+    this.entries = new Map();
+    this.staleRecords = 0; // Records to re-encrypt with the active key
+    this.seq = 0;
+    this.lastId = 0;
+    this.recordCount = 0; // Records across all segments, live or obsolete
+    this.suspectCounts = new Map(); // id -> corrupt records after its put (see suspects())
+    this.segmentNumber = 0;
+    this.fd = null;
+    this.activeSize = 0;
+  }
+
+  /**
+   * Recover state from existing segments and open the active segment for appending
+   */
+  open() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    // Leftover from a compaction interrupted before its rename
+    for (const file of fs.readdirSync(this.dir).filter(f => f.endsWith('.tmp'))) {
+      fs.unlinkSync(path.join(this.dir, file));
+    }
+
+    const segments = this.listSegments();
+    if (segments.length > 0) {
+      this.truncateTornTail(segments[segments.length - 1].file);
+    }
+
+    const replay = { position: 0, putAt: new Map(), corrupt: [] };
+    for (const segment of segments) {
+      this.replaySegment(segment, replay);
+      this.segmentNumber = Math.max(this.segmentNumber, segment.number);
+    }
+
+    if (replay.corrupt.length > 0) {
+      this.countSuspects(replay);
+      this.logger.error(`Journal recovery skipped ${replay.corrupt.length} corrupt record(s) in ${this.dir}`, {
+        suspectEntries: [...this.suspectCounts.keys()]
+      });
+    }
+
+    this.openSegment(this.segmentNumber || 1);
+    this.logger.info(`Journal opened: ${this.entries.size} live entries, ${this.recordCount} records`, { dir: this.dir });
+    return this;
+  }
+
+  listSegments() {
+    return fs.readdirSync(this.dir)
+      .filter(f => /^\d{6}\.log$/.test(f))
+      .map(f => ({ number: parseInt(f, 10), file: path.join(this.dir, f) }))
+      .sort((a, b) => a.number - b.number);
+  }
+
+  /**
+   * Cut an incomplete last line (write interrupted by a crash) so appends start on a fresh line
+   */
+  truncateTornTail(file) {
+    const content = fs.readFileSync(file);
+    if (content.length === 0 || content[content.length - 1] === 0x0a) return;
+
+    const validLength = content.lastIndexOf(0x0a) + 1;
+    fs.truncateSync(file, validLength);
+    this.logger.warn('Journal: torn record at end of log discarded', {
+      segment: path.basename(file),
+      bytes: content.length - validLength
+    });
+  }
+
+  /**
+   * Apply a segment's records to the in-memory state
+   * @param {Object} replay - Recovery state shared across segments: { position, putAt, corrupt },
+   *   putAt being id -> position of its last put, corrupt the { position, id } of each
+   *   corrupt (unparseable or checksum-failed) record, id null when it cannot be read
+   */
+  replaySegment(segment, replay) {
+    const lines = fs.readFileSync(segment.file, 'utf8').split('\n');
+
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      const position = replay.position++;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        record = null;
+      }
+
+      if (!record || record.c !== this.checksum(record.s, record.op, record.id, record.v)) {
+        const id = typeof record?.id === 'string' && record.id ? record.id : null;
+        replay.corrupt.push({ position, id });
+        this.logger.warn('Journal: corrupt record skipped', { segment: path.basename(segment.file), line: i + 1, id });
+        return;
+      }
+
+      this.seq = Math.max(this.seq, record.s);
+      this.recordCount++;
+
+      if (record.op === 'put') {
+        this.entries.set(record.id, this.unseal(record.v, segment, i + 1));
+        replay.putAt.set(record.id, position);
+        const numericId = parseInt(record.id, 10);
+        if (!Number.isNaN(numericId)) {
+          this.lastId = Math.max(this.lastId, numericId);
+        }
+      } else if (record.op === 'del') {
+        this.entries.delete(record.id);
+      } else if (record.op === 'mark') {
+        this.lastId = Math.max(this.lastId, record.v.lastId || 0);
+        if (record.v.snapshot) {
+          this.entries.clear();
+          replay.putAt.clear();
+          replay.corrupt.length = 0;
+        }
+      }
+    });
+  }
+
+  countSuspects(replay) {
+    for (const id of this.entries.keys()) {
+      const count = replay.corrupt
+        .filter(record => record.position > replay.putAt.get(id) && (record.id === null || record.id === id))
+        .length;
+      if (count > 0) this.suspectCounts.set(id, count);
+    }
+  }
+
+  /**
+   * Live entries that a corrupt record may have deleted or changed
+   * @returns {Map<string, number>} id -> number of such corrupt records
+   */
+  suspects() {
+    return new Map([...this.suspectCounts].filter(([id]) => this.entries.has(id)));
+  }
+
+  /**
+   * Stored value -> value; an undecryptable record stops recovery rather than losing it
+   */
+  unseal(stored, segment, line) {
+    if (!this.cipher) return stored;
+    if (this.cipher.isStale(stored)) this.staleRecords++;
+    try {
+      return this.cipher.decrypt(stored);
+    } catch (error) {
+      throw new Error(`Journal ${path.basename(segment.file)} line ${line}: ${error.message}`);
+    }
+  }
+
+  seal(value) {
+    return this.cipher ? this.cipher.encrypt(value) : value;
+  }
+
+  openSegment(number) {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+    this.segmentNumber = number;
+    const file = this.segmentFile(number);
+    this.fd = fs.openSync(file, 'a');
+    this.activeSize = fs.fstatSync(this.fd).size;
+  }
+
+  segmentFile(number) {
+    return path.join(this.dir, `${String(number).padStart(6, '0')}.log`);
+  }
+
+  checksum(seq, op, id, value) {
+    return crypto.createHash('sha256')
+      .update(`${seq}|${op}|${id}|${JSON.stringify(value === undefined ? null : value)}`)
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  serialize(op, id, value) {
+    const s = ++this.seq;
+    const v = value === undefined ? null : value;
+    return JSON.stringify({ s, op, id, v, c: this.checksum(s, op, id, v) }) + '\n';
+  }
+
+  /**
+   * Append a record and fsync it to disk before returning
+   */
+  append(op, id, value) {
+    if (this.fd === null) {
+      throw new Error('Journal is not open');
+    }
+
+    const line = this.serialize(op, id, value);
+    fs.writeSync(this.fd, line);
+    fs.fsyncSync(this.fd);
+    this.activeSize += Buffer.byteLength(line);
+    this.recordCount++;
+
+    if (this.activeSize >= this.segmentMaxBytes) {
+      this.openSegment(this.segmentNumber + 1);
+    }
+  }
+
+  /**
+   * Monotonic unique id ("1", "2"...), persisted through the ids of put records
+   */
+  nextId() {
+    return String(++this.lastId);
+  }
+
+  put(id, value) {
+    this.append('put', id, this.seal(value));
+    this.entries.set(id, value);
+  }
+
+  delete(id) {
+    if (!this.entries.has(id)) return false;
+    this.append('del', id, null);
+    this.entries.delete(id);
+    return true;
+  }
+
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  values() {
+    return [...this.entries.values()];
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  needsCompaction() {
+    const obsolete = this.recordCount - this.entries.size;
+    return this.staleRecords > 0 || (obsolete >= this.compactMinRecords && obsolete > this.entries.size);
+  }
+
+  /**
+   * Rewrite live entries into a new segment and drop all older segments
+   * The new segment is fully written and fsync'd before it is renamed into place,
+   * so a crash at any point leaves a log that replays to the same state.
+   */
+  compact() {
+    const oldSegments = this.listSegments();
+    const number = this.segmentNumber + 1;
+    const tmpFile = `${this.segmentFile(number)}.tmp`;
+
+    const fd = fs.openSync(tmpFile, 'w');
+    let size = 0;
+    try {
+      // Keep ids monotonic even when no live entry carries the highest id. The mark also
+      // flags the segment as a snapshot: replay drops whatever older segments held, so
+      // one left behind below cannot bring back deleted entries.
+      const mark = this.serialize('mark', '', { lastId: this.lastId, snapshot: true });
+      fs.writeSync(fd, mark);
+      size += Buffer.byteLength(mark);
+
+      for (const [id, value] of this.entries) {
+        const line = this.serialize('put', id, this.seal(value));
+        fs.writeSync(fd, line);
+        size += Buffer.byteLength(line);
+      }
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // If the rename fails the active segment stays open and appends carry on there
+    fs.renameSync(tmpFile, this.segmentFile(number));
+    this.syncDir();
+
+    this.recordCount = this.entries.size + 1;
+    this.staleRecords = 0;
+    this.openSegment(number);
+    this.activeSize = size;
+
+    // Old segments are closed by now (Windows cannot remove an open file)
+    let removed = 0;
+    for (const segment of oldSegments) {
+      try {
+        fs.unlinkSync(segment.file);
+        removed++;
+      } catch (error) {
+        this.logger.warn(`Journal: failed to remove compacted segment ${path.basename(segment.file)} - removed on next compaction:`, error.message);
+      }
+    }
+    this.logger.info(`Journal compacted: ${this.entries.size} live entries kept, ${removed} segment(s) removed`);
+  }
+
+  syncDir() {
+    // Persist the rename itself; directories cannot be opened for fsync on Windows
+    try {
+      const dirFd = fs.openSync(this.dir, 'r');
+      fs.fsyncSync(dirFd);
+      fs.closeSync(dirFd);
+    } catch (error) {
+      // Best effort
+    }
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+module.exports = Journal;
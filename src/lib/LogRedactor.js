@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+
+const MASK = '[REDACTED]';
+const POLICIES = ['mask', 'hash', 'off'];
+
+const DEFAULT_FIELDS = ['patientName', 'PatientName', 'DOB', 'dob', 'birthDate', 'PracticePatientID', 'LabPatientID', 'patientId'];
+const DEFAULT_STRICT_FIELDS = ['sampleId', 'specimenId', 'specimenIds', 'SpecimenID'];
+
+// Field delimiter declared by an ASTM H record or HL7 MSH segment (the character after
+// the record type). A record starts the string or a line, or follows STX and the frame number.
+const HEADER_RECORD = /(?:^|[\r\n]|\x02\d?)(?:H|MSH)([^A-Za-z0-9\s])/;
+// Raw message content (record separators, framing) with no delimiter we can tell
+const RAW_CONTENT = /[\r\x02\x03\x0b\x1c]/;
+
+/**
+ * Patterns for one field delimiter:
+ *   patient - ASTM patient record and HL7 patient/next-of-kin/guarantor/insurance segments
+ *   any     - any ASTM record / HL7 segment, for strict mode
+ */
+function recordPatterns(delimiter) {
+  const d = delimiter.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+  return {
+    patient: new RegExp(`(^|[\\r\\n]|\\x02\\d?)(P|PID|NK1|GT1|IN1|IN2)${d}([^${d}\\r\\n\\x03\\x17]*)([^\\r\\n\\x03\\x17]*)`, 'g'),
+    any: new RegExp(`(^|[\\r\\n]|\\x02\\d?)([A-Z][A-Z0-9]{0,2})${d}([^\\r\\n\\x03\\x17]*)`, 'g')
+  };
+}
+
+const MAX_DEPTH = 8;
+
+/**
+ * Log Redactor - winston format that keeps patient data (PHI) out of the log files
+ * and console
+ *
+ * Settings (logging.redaction):
+ *   fields        keys whose values are masked wherever they appear in log metadata
+ *   levels        policy per log level: mask | hash | off
+ *                   mask - values become [REDACTED]
+ *                   hash - values become #<12 hex digits>, the same for the same value,
+ *                          so one patient can be followed through the log. The digits
+ *                          are an HMAC keyed with a per-install secret (hashKeyFile,
+ *                          generated on first use), so they cannot be reversed by
+ *                          hashing candidate names and birth dates - but they remain
+ *                          pseudonymous data, not anonymous
+ *                   off  - nothing is redacted (troubleshooting only)
+ *   hashKeyFile   where the hash secret is kept
+ *   strict        production mode: every level is masked whatever `levels` says (never
+ *                 hashed), strictFields (specimen ids) are masked too, and raw messages
+ *                 keep only their record types
+ * Outside strict mode, raw message text in any logged string keeps everything except
+ * the patient records (ASTM P, HL7 PID/NK1/GT1/IN1/IN2), which keep only their first
+ * field (sequence number / set id). Records are split on the field delimiter the H / MSH
+ * header declares; raw content whose delimiter cannot be told is masked whole.
+ */
+class LogRedactor {
+  constructor(settings = {}) {
+    this.enabled = settings.enabled !== false;
+    this.strict = !!settings.strict;
+    this.levels = settings.levels || {};
+    this.hashKeyFile = settings.hashKeyFile || './data/log-hash.key';
+    this.hashKey = null;
+    this.patterns = new Map(); // field delimiter -> record patterns
+    const fields = [...(settings.fields || DEFAULT_FIELDS), ...(this.strict ? settings.strictFields || DEFAULT_STRICT_FIELDS : [])];
+    this.fields = new Set(fields.map(field => field.toLowerCase()));
+  }
+
+  /**
+   * @returns {string} mask | hash | off
+   */
+  policyFor(level) {
+    if (!this.enabled) return 'off';
+    if (this.strict) return 'mask';
+    const policy = this.levels[level];
+    return POLICIES.includes(policy) ? policy : 'mask';
+  }
+
+  /**
+   * @returns {Object} A winston format to combine before the output format (json, simple...)
+   */
+  format() {
+    return winston.format(info => this.redact(info))();
+  }
+
+  /**
+   * Redact a winston info object in place. Nested metadata is copied, never changed,
+   * since it may still be in use by the caller.
+   */
+  redact(info) {
+    const policy = this.policyFor(info.level);
+    if (policy === 'off') return info;
+
+    for (const key of Object.keys(info)) {
+      if (key === 'level') continue;
+      info[key] = this.redactValue(info[key], key, policy, 0);
+    }
+    return info;
+  }
+
+  redactValue(value, key, policy, depth) {
+    if (value === null || value === undefined) return value;
+    if (this.fields.has(String(key).toLowerCase())) return this.maskValue(value, policy);
+    if (typeof value === 'string') return this.redactText(value);
+    if (depth >= MAX_DEPTH) return value;
+
+    if (Array.isArray(value)) {
+      return value.map(entry => this.redactValue(entry, '', policy, depth + 1));
+    }
+    if (Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.fromEntries(Object.entries(value)
+        .map(([k, v]) => [k, this.redactValue(v, k, policy, depth + 1)]));
+    }
+    return value;
+  }
+
+  maskValue(value, policy) {
+    if (value === '' || (Array.isArray(value) && value.length === 0)) return value;
+    if (Array.isArray(value)) return value.map(entry => this.maskValue(entry, policy));
+    if (policy === 'hash') {
+      return `#${crypto.createHmac('sha256', this.loadHashKey()).update(JSON.stringify(value)).digest('hex').substring(0, 12)}`;
+    }
+    return MASK;
+  }
+
+  /**
+   * Secret for the hash policy, read from hashKeyFile or generated into it (owner-only).
+   * If the file cannot be written the secret lives in memory, so hashes only match
+   * within this run.
+   */
+  loadHashKey() {
+    if (this.hashKey) return this.hashKey;
+
+    try {
+      if (fs.existsSync(this.hashKeyFile)) {
+        this.hashKey = Buffer.from(fs.readFileSync(this.hashKeyFile, 'utf8').trim(), 'base64');
+      }
+      if (!this.hashKey || this.hashKey.length < 32) {
+        this.hashKey = crypto.randomBytes(32);
+        fs.mkdirSync(path.dirname(this.hashKeyFile), { recursive: true });
+        fs.writeFileSync(this.hashKeyFile, this.hashKey.toString('base64') + '\n', { mode: 0o600 });
+      }
+    } catch (error) {
+      this.hashKey = crypto.randomBytes(32);
+    }
+    return this.hashKey;
+  }
+
+  /**
+   * Raw message content inside a logged string. The field delimiter is taken from the
+   * H / MSH header in the text, else `|`; raw content with neither is masked whole.
+   */
+  redactText(text) {
+    const delimiter = HEADER_RECORD.exec(text)?.[1] || (text.includes('|') ? '|' : null);
+    if (!delimiter) {
+      return RAW_CONTENT.test(text) ? MASK : text;
+    }
+
+    if (!this.patterns.has(delimiter)) {
+      this.patterns.set(delimiter, recordPatterns(delimiter));
+    }
+    const patterns = this.patterns.get(delimiter);
+    if (this.strict) {
+      return text.replace(patterns.any, (match, start, type) => `${start}${type}${delimiter}${MASK}`);
+    }
+    return text.replace(patterns.patient, (match, start, type, first, rest) => (
+      `${start}${type}${delimiter}${first}${rest ? `${delimiter}${MASK}` : ''}`
+    ));
+  }
+}
+
+module.exports = LogRedactor;
@@ -0,0 +1,168 @@
+/**
+ * Message Builder - Builds outgoing messages sent back to instruments
+ * (ASTM order downloads, HL7 acknowledgements)
+ * Counterpart of MessageParser for the host (LIS) side of the conversation
+ */
+class MessageBuilder {
+  constructor(options = {}) {
+    this.senderName = options.senderName || 'LIS-Agent';
+  }
+
+  /**
+   * Build an ASTM order download answering one or more host queries (Q records)
+   * @param {Array} patients - Pending orders in backend format:
+   *   [{ PracticePatientID, LabPatientID, PatientName, DOB, Sex, Orders: [{ SpecimenID, Tests: [], Priority }] }]
+   * @param {string} terminationCode - L record code: N (normal), I (no information), E (error)
+   * @returns {string} ASTM message with records separated by CR
+   */
+  buildAstmOrderResponse(patients = [], terminationCode = 'N') {
+    const records = [this.buildAstmHeader()];
+
+    let patientSeq = 0;
+    for (const patient of patients) {
+      const orders = Array.isArray(patient.Orders) ? patient.Orders : [];
+      if (orders.length === 0) continue;
+
+      patientSeq++;
+      records.push(this.buildAstmRecord('P', [
+        patientSeq,
+        this.escapeAstm(patient.PracticePatientID),
+        this.escapeAstm(patient.LabPatientID),
+        '',
+        this.formatAstmName(patient.PatientName),
+        '',
+        this.escapeAstm(patient.DOB),
+        this.escapeAstm(patient.Sex)
+      ]));
+
+      orders.forEach((order, i) => {
+        const tests = (Array.isArray(order.Tests) ? order.Tests : [order.UniversalTestID])
+          .filter(Boolean)
+          .map(code => `^^^${this.escapeAstm(code)}`);
+
+        // O record: seq, specimen, instrument specimen, tests, priority ... action code (12), report type (26)
+        const fields = new Array(25).fill('');
+        fields[0] = i + 1;
+        fields[1] = this.escapeAstm(order.SpecimenID);
+        fields[3] = tests.join('\\');
+        fields[4] = this.escapeAstm(order.Priority || 'R');
+        fields[10] = 'N';
+        fields[24] = 'O';
+        records.push(this.buildAstmRecord('O', fields));
+      });
+    }
+
+    records.push(this.buildAstmRecord('L', [1, terminationCode]));
+    return records.join('\r') + '\r';
+  }
+
+  /**
+   * Build ASTM header record declaring the standard delimiters
+   */
+  buildAstmHeader() {
+    // H|\^&|msgId|password|sender|address|reserved|phone|characteristics|receiver|comments|processingId|version|timestamp
+    return this.buildAstmRecord('H', [
+      '\\^&', '', '', this.escapeAstm(this.senderName), '', '', '', '', '', '', 'P', '1', this.formatTimestamp(new Date())
+    ]);
+  }
+
+  buildAstmRecord(type, fields) {
+    return [type, ...fields].join('|');
+  }
+
+  /**
+   * Names are passed through as sent by the backend ("DOE^JOHN" or free text); ^ stays
+   * the component separator, other delimiters in the parts are escaped
+   */
+  formatAstmName(name) {
+    return name ? String(name).trim().split('^').map(part => this.escapeAstm(part)).join('^') : '';
+  }
+
+  /**
+   * Escape the standard ASTM delimiters (|\^&) in a field value: &F& &R& &S& &E&, as
+   * MessageParser.decodeASTM reads them. Line breaks would end the record and become spaces.
+   */
+  escapeAstm(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/&/g, '&E&')
+      .replace(/\|/g, '&F&')
+      .replace(/\\/g, '&R&')
+      .replace(/\^/g, '&S&')
+      .replace(/[\r\n]+/g, ' ');
+  }
+
+  /**
+   * Build an HL7 v2 acknowledgement for a received message
+   * @param {HL7Message|null} parsedData - Result of MessageParser.parseHL7 (null if unparseable)
+   * @param {string} ackCode - AA (accepted), AE (error), AR (rejected)
+   * @param {string} text - Optional MSA-3 text message
+   * @returns {string} ACK message with segments separated by CR
+   */
+  buildHL7Ack(parsedData, ackCode = 'AA', text = '') {
+    const msh = parsedData ? parsedData.getSegment('MSH') : null;
+    // Fields copied from the original MSH, re-encoded for the ACK's own ^~\& delimiters
+    const mshField = (n) => (msh ? this.reencodeHL7Field(msh, n) : '');
+
+    const trigger = msh ? this.escapeHL7(msh.get(9, 2)) : '';
+    const controlId = msh ? this.escapeHL7(msh.get(10)) : '';
+    const now = new Date();
+
+    const mshSegment = [
+      'MSH',
+      '^~\\&',
+      mshField(5) || this.senderName, // Swap sender/receiver from the original message
+      mshField(6),
+      mshField(3),
+      mshField(4),
+      this.formatTimestamp(now),
+      '',
+      trigger ? `ACK^${trigger}^ACK` : 'ACK',
+      `ACK${now.getTime()}`,
+      mshField(11) || 'P',
+      mshField(12) || '2.5.1'
+    ].join('|');
+
+    const msaSegment = ['MSA', ackCode, controlId, text ? this.escapeHL7(text) : '']
+      .join('|')
+      .replace(/\|+$/, '');
+
+    return `${mshSegment}\r${msaSegment}\r`;
+  }
+
+  /**
+   * Escape HL7 delimiters (standard |^~\&) and line breaks in free text
+   */
+  escapeHL7(text) {
+    return String(text)
+      .replace(/\\/g, '\\E\\')
+      .replace(/\|/g, '\\F\\')
+      .replace(/\^/g, '\\S\\')
+      .replace(/~/g, '\\R\\')
+      .replace(/&/g, '\\T\\')
+      .replace(/\r\n|\r|\n/g, '\\.br\\');
+  }
+
+  /**
+   * Field n of a received segment in standard delimiters: repetitions, components and
+   * subcomponents are kept, values are decoded with the sender's encoding characters
+   * and escaped again
+   */
+  reencodeHL7Field(segment, n) {
+    const { repetition, component, subcomponent } = segment.encoding;
+    return segment.rawField(n)
+      .split(repetition)
+      .map(rep => rep.split(component)
+        .map(comp => comp.split(subcomponent).map(sub => this.escapeHL7(segment.decode(sub))).join('&'))
+        .join('^'))
+      .join('~');
+  }
+
+  formatTimestamp(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+      `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  }
+}
+
+module.exports = MessageBuilder;
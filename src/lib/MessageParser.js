@@ -1,6 +1,19 @@
+const { HL7Message, HL7Segment, DEFAULT_ENCODING } = require('./HL7Message');
+const BaseDriver = require('../drivers/BaseDriver');
+const metrics = require('./Metrics');
+
+// ASTM E1394 default delimiters - each header record may declare its own
+const DEFAULT_ASTM_DELIMITERS = {
+  field: '|',
+  repeat: '\\',
+  component: '^',
+  escape: '&'
+};
+
 class MessageParser {
   constructor(logger) {
     this.logger = logger;
+    this.defaultDriver = new BaseDriver();
   }
 
   /**
@@ -87,27 +100,41 @@ class MessageParser {
     }
   }
 
-  parse(rawMessage) {
+  /**
+   * @param {string} rawMessage - Complete message from the reader
+   * @param {BaseDriver} driver - Instrument driver (field positions, test code extraction...)
+   */
+  parse(rawMessage, driver = this.defaultDriver) {
+    let format = 'unknown';
+    let parsed = null;
     try {
       // Detect message format
       if (this.isASTM(rawMessage)) {
-        return this.parseASTM(rawMessage);
+        format = 'astm';
+        parsed = this.parseASTM(rawMessage, driver);
       } else if (this.isHL7(rawMessage)) {
-        return this.parseHL7(rawMessage);
+        format = 'hl7';
+        parsed = this.parseHL7(rawMessage, driver);
       } else {
         this.logger.warn('Unknown message format');
-        return null;
       }
     } catch (error) {
       this.logger.error('Error parsing message:', error);
-      return null;
     }
+
+    if (!parsed) {
+      metrics.parseFailures.inc({ format });
+    }
+    return parsed;
   }
 
   isASTM(message) {
-    // ASTM messages typically start with STX (0x02) or with record types H|, P|, O|, R|, L|
+    // ASTM messages typically start with STX (0x02), a header declaring its delimiters (H|\^&)
+    // or with record types H|, P|, O|, R|, Q|, L|
+    const trimmed = message.trim();
     return message.startsWith('\x02') || 
-           /^[HPORL]\|/.test(message.trim());
+           /^\d?H[^\w\s]{4}/.test(trimmed) ||
+           /^[HPORQL]\|/.test(trimmed);
   }
 
   isHL7(message) {
@@ -116,7 +143,7 @@ class MessageParser {
            message.includes('\x0B') && message.includes('\x1C');
   }
 
-  parseASTM(rawMessage) {
+  parseASTM(rawMessage, driver = this.defaultDriver) {
     try {
       // Validate checksum if present
       const hasChecksum = rawMessage.includes('\x03') || rawMessage.includes('\x17');
@@ -142,23 +169,32 @@ class MessageParser {
       // ASTM messages use \r (carriage return) as line separator
       const lines = message.split(/\r/).filter(line => line.trim());
       const records = [];
+      let delimiters = { ...DEFAULT_ASTM_DELIMITERS };
+      let messageDelimiters = null;
       
       for (const line of lines) {
-        const trimmed = line.trim();
+        // Drop frame control characters left over from raw (legacy mode) frames
+        const trimmed = line.trim().replace(/^[\x00-\x1F]+/, '');
         if (trimmed.length < 2) continue;
+
+        // Each header declares the delimiters used by the records that follow it
+        if (/^\d?H[^\w\s]/.test(trimmed)) {
+          delimiters = this.parseASTMDelimiters(trimmed);
+          messageDelimiters = messageDelimiters || delimiters;
+        }
         
-        const fields = trimmed.split('|');
+        const fields = trimmed.split(delimiters.field);
         
         // Extract record type from the first field
         // Format can be "1H|..." (sequence + record type) or "P|..." (just record type)
         let recordType;
         const firstField = fields[0];
         
-        if (/^\d+[HPORL]$/.test(firstField)) {
+        if (/^\d+[HPORQLCM]$/.test(firstField)) {
           // Case: "1H", "2P", etc. - extract the letter
           recordType = firstField.charAt(firstField.length - 1);
-        } else if (/^[HPORL]$/.test(firstField)) {
-          // Case: "H", "P", "O", "R", "L" - use as is
+        } else if (/^[HPORQLCM]$/.test(firstField)) {
+          // Case: "H", "P", "O", "R", "Q", "L", "C", "M" - use as is
           recordType = firstField;
         } else {
           // Unknown format
@@ -168,19 +204,28 @@ class MessageParser {
         
         switch(recordType) {
           case 'H': // Header
-            records.push(this.parseASTMHeader(fields));
+            records.push(this.parseASTMHeader(fields, delimiters));
             break;
           case 'P': // Patient
-            records.push(this.parseASTMPatient(fields));
+            records.push(this.parseASTMPatient(fields, delimiters, driver));
             break;
           case 'O': // Order
-            records.push(this.parseASTMOrder(fields));
+            records.push(this.parseASTMOrder(fields, delimiters, driver));
             break;
           case 'R': // Result
-            records.push(this.parseASTMResult(fields));
+            records.push(this.parseASTMResult(fields, delimiters, driver));
+            break;
+          case 'Q': // Request information (host query)
+            records.push(this.parseASTMQuery(fields, delimiters));
+            break;
+          case 'C': // Comment
+            records.push(this.parseASTMComment(fields, delimiters));
+            break;
+          case 'M': // Manufacturer information
+            records.push(this.parseASTMManufacturer(fields, delimiters));
             break;
           case 'L': // Terminator
-            records.push(this.parseASTMTerminator(fields));
+            records.push(this.parseASTMTerminator(fields, delimiters));
             break;
           default:
             this.logger.warn(`Unknown record type: ${recordType}`);
@@ -189,7 +234,9 @@ class MessageParser {
 
       return {
         recordType: 'ASTM',
+        delimiters: messageDelimiters || delimiters,
         records: records,
+        messages: this.buildASTMHierarchy(records),
         sampleId: this.extractSampleId(records),
         results: this.extractResults(records)
       };
@@ -199,60 +246,259 @@ class MessageParser {
     }
   }
 
-  parseASTMHeader(fields) {
+  /**
+   * Read delimiters from a header record: "H" is followed by the field,
+   * repeat, component and escape delimiters (E1394 - e.g. H|\^&)
+   */
+  parseASTMDelimiters(headerLine) {
+    const idx = headerLine.indexOf('H');
+    const [field, repeat, component, escape] = headerLine.substring(idx + 1, idx + 5).split('');
+    const declared = [field, repeat, component, escape];
+
+    const valid = declared.every(c => c && /[^\w\s]/.test(c)) && new Set(declared).size === 4;
+    if (!valid) {
+      this.logger.warn(`Invalid ASTM delimiter definition "${headerLine.substring(idx, idx + 5)}" - using defaults`);
+      return { ...DEFAULT_ASTM_DELIMITERS, field: field && /[^\w\s]/.test(field) ? field : '|' };
+    }
+
+    return { field, repeat, component, escape };
+  }
+
+  /**
+   * Decode ASTM escape sequences (&F& &S& &R& &E& and &Xhh..& hex data)
+   * Highlighting sequences (&H&, &N&) are dropped; unknown ones are left untouched
+   */
+  decodeASTM(value, delimiters = DEFAULT_ASTM_DELIMITERS) {
+    const esc = delimiters.escape;
+    if (!value || !value.includes(esc)) return value || '';
+
+    const e = esc.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`${e}([^${e}]*)${e}`, 'g');
+
+    return value.replace(pattern, (match, seq) => {
+      switch (seq) {
+        case 'F': return delimiters.field;
+        case 'S': return delimiters.component;
+        case 'R': return delimiters.repeat;
+        case 'E': return delimiters.escape;
+        case 'H':
+        case 'N': return '';
+        default:
+          if (/^X([0-9A-Fa-f]{2})+$/.test(seq)) {
+            return Buffer.from(seq.substring(1), 'hex').toString('latin1');
+          }
+          return match;
+      }
+    });
+  }
+
+  /**
+   * Split a field into decoded components (first repeat)
+   */
+  splitASTMComponents(value, delimiters = DEFAULT_ASTM_DELIMITERS) {
+    const firstRepeat = (value || '').split(delimiters.repeat)[0];
+    return firstRepeat.split(delimiters.component).map(c => this.decodeASTM(c, delimiters));
+  }
+
+  /**
+   * Universal Test ID "^^^TSH^1" -> "TSH" (driver decides which component)
+   */
+  extractASTMTestCode(value, delimiters = DEFAULT_ASTM_DELIMITERS, driver = this.defaultDriver) {
+    return driver.extractTestCode(this.splitASTMComponents(value, delimiters));
+  }
+
+  /**
+   * Group flat records into the logical H -> P -> O -> R hierarchy
+   * A transmission may carry several messages (H..L), patients and orders;
+   * records arriving without their parent get an empty implicit one.
+   * C and M records attach to the record they follow (header, patient, order or result)
+   * as `comments` and `manufacturerRecords`.
+   * @returns {Array} [{ header, patients: [{ ...patient, orders: [{ ...order, results: [] }] }], queries, terminator }]
+   */
+  buildASTMHierarchy(records) {
+    const messages = [];
+    let message = null;
+    let patient = null;
+    let order = null;
+    let lastNode = null; // Parent for the next C/M record
+
+    const currentMessage = () => {
+      if (!message) {
+        message = { header: null, patients: [], queries: [], terminator: null, comments: [], manufacturerRecords: [] };
+        messages.push(message);
+      }
+      return message;
+    };
+    const currentPatient = () => {
+      if (!patient) {
+        patient = { type: 'patient', implicit: true, orders: [], comments: [], manufacturerRecords: [] };
+        currentMessage().patients.push(patient);
+      }
+      return patient;
+    };
+    const currentOrder = () => {
+      if (!order) {
+        order = { type: 'order', implicit: true, specimenId: '', testCodes: [], results: [], comments: [], manufacturerRecords: [] };
+        currentPatient().orders.push(order);
+      }
+      return order;
+    };
+
+    for (const record of records) {
+      switch (record.type) {
+        case 'header':
+          message = null;
+          patient = null;
+          order = null;
+          currentMessage().header = record;
+          lastNode = message;
+          break;
+        case 'patient':
+          patient = { ...record, orders: [], comments: [], manufacturerRecords: [] };
+          order = null;
+          currentMessage().patients.push(patient);
+          lastNode = patient;
+          break;
+        case 'order':
+          order = { ...record, results: [], comments: [], manufacturerRecords: [] };
+          currentPatient().orders.push(order);
+          lastNode = order;
+          break;
+        case 'result':
+          lastNode = { ...record, comments: [], manufacturerRecords: [] };
+          currentOrder().results.push(lastNode);
+          break;
+        case 'comment':
+          (lastNode || currentMessage()).comments.push(record);
+          break;
+        case 'manufacturer':
+          (lastNode || currentMessage()).manufacturerRecords.push(record);
+          break;
+        case 'query':
+          currentMessage().queries.push(record);
+          lastNode = message;
+          break;
+        case 'terminator':
+          currentMessage().terminator = record;
+          message = null;
+          patient = null;
+          order = null;
+          lastNode = null;
+          break;
+      }
+    }
+
+    return messages;
+  }
+
+  parseASTMHeader(fields, delimiters = DEFAULT_ASTM_DELIMITERS) {
+    const d = (n) => this.decodeASTM(fields[n], delimiters);
     return {
       type: 'header',
-      sendingApp: fields[3],
-      sendingFacility: fields[4] || '',
-      receivingApp: fields[5] || '',
-      timestamp: fields[12] || ''
+      delimiters: delimiters,
+      sendingApp: d(3),
+      sendingFacility: d(4),
+      receivingApp: d(5),
+      timestamp: d(13)
     };
   }
 
-  parseASTMPatient(fields) {
+  parseASTMPatient(fields, delimiters = DEFAULT_ASTM_DELIMITERS, driver = this.defaultDriver) {
+    const f = driver.astmFields.patient;
+    const d = (n) => this.decodeASTM(fields[n], delimiters);
     return {
       type: 'patient',
-      sequence: fields[1] || '',
-      practiceId: fields[2] || '',
-      labId: fields[3] || '',
-      patientId: fields[4] || '',
-      name: fields[5] || '',
-      dob: fields[7] || '',
-      sex: fields[8] || ''
+      sequence: d(f.sequence),
+      practiceId: d(f.practiceId),
+      labId: d(f.labId),
+      patientId: d(f.patientId),
+      // Name is last^first^middle
+      name: this.splitASTMComponents(fields[f.name], delimiters).filter(Boolean).join(' '),
+      dob: d(f.dob),
+      sex: d(f.sex)
     };
   }
 
-  parseASTMOrder(fields) {
+  parseASTMOrder(fields, delimiters = DEFAULT_ASTM_DELIMITERS, driver = this.defaultDriver) {
+    const f = driver.astmFields.order;
+    const d = (n) => this.decodeASTM(fields[n], delimiters);
+    const testId = fields[f.testId] || '';
     return {
       type: 'order',
-      sequence: fields[1] || '',
-      specimenId: fields[2] || '',
-      testId: fields[3] || '',
-      priority: fields[4] || ''
+      sequence: d(f.sequence),
+      specimenId: driver.extractSpecimenId(this.splitASTMComponents(fields[f.specimenId], delimiters)),
+      instrumentSpecimenId: d(f.instrumentSpecimenId),
+      testId: testId,
+      // One order may request several tests as repeats: ^^^TSH\^^^FT4
+      testCodes: testId.split(delimiters.repeat)
+        .map(t => this.extractASTMTestCode(t, delimiters, driver))
+        .filter(Boolean),
+      priority: d(f.priority)
     };
   }
 
-  parseASTMResult(fields) {
-    return {
+  parseASTMResult(fields, delimiters = DEFAULT_ASTM_DELIMITERS, driver = this.defaultDriver) {
+    const f = driver.astmFields.result;
+    const d = (n) => this.decodeASTM(fields[n], delimiters);
+    return driver.parseResult({
       type: 'result',
-      sequence: fields[1] || '',
-      testId: fields[2] || '',
-      value: fields[3] || '',
-      unit: fields[4] || '',
-      referenceRange: fields[5] || '',
-      flag: fields[6] || ''
+      sequence: d(f.sequence),
+      testId: fields[f.testId] || '',
+      testCode: this.extractASTMTestCode(fields[f.testId], delimiters, driver),
+      value: d(f.value),
+      unit: d(f.unit),
+      referenceRange: d(f.referenceRange),
+      flag: d(f.flag),
+      completedAt: d(f.completedAt)
+    });
+  }
+
+  parseASTMQuery(fields, delimiters = DEFAULT_ASTM_DELIMITERS) {
+    // Starting range ID is "patientId^specimenId^..." - most analyzers send "^SPECIMEN"
+    const startingRange = fields[2] || '';
+    const rangeParts = this.splitASTMComponents(startingRange, delimiters);
+    return {
+      type: 'query',
+      sequence: this.decodeASTM(fields[1], delimiters),
+      startingRange: startingRange,
+      patientId: rangeParts.length > 1 ? rangeParts[0] : '',
+      specimenId: (rangeParts.length > 1 ? rangeParts[1] : rangeParts[0]) || '',
+      endingRange: fields[3] || '',
+      testId: fields[4] || '',
+      statusCode: this.decodeASTM(fields[12], delimiters)
+    };
+  }
+
+  parseASTMComment(fields, delimiters = DEFAULT_ASTM_DELIMITERS) {
+    return {
+      type: 'comment',
+      sequence: this.decodeASTM(fields[1], delimiters),
+      source: this.decodeASTM(fields[2], delimiters), // P = practice, L = LIS, I = instrument
+      // Comment text may be split into components, e.g. "^Reagent lot^12345"
+      text: this.splitASTMComponents(fields[3], delimiters).filter(Boolean).join(' '),
+      commentType: this.decodeASTM(fields[4], delimiters) // G = generic, T = test name, I = instrument flag...
+    };
+  }
+
+  parseASTMManufacturer(fields, delimiters = DEFAULT_ASTM_DELIMITERS) {
+    return {
+      type: 'manufacturer',
+      sequence: this.decodeASTM(fields[1], delimiters),
+      recordTypeId: this.decodeASTM(fields[2], delimiters),
+      // Vendor-specific layout - keep remaining fields, decoded, for drivers and comments
+      fields: fields.slice(3).map(f => this.decodeASTM(f, delimiters))
     };
   }
 
-  parseASTMTerminator(fields) {
+  parseASTMTerminator(fields, delimiters = DEFAULT_ASTM_DELIMITERS) {
     return {
       type: 'terminator',
-      sequence: fields[1] || '',
-      status: fields[2] || ''
+      sequence: this.decodeASTM(fields[1], delimiters),
+      status: this.decodeASTM(fields[2], delimiters)
     };
   }
 
-  parseHL7(rawMessage) {
+  parseHL7(rawMessage, driver = this.defaultDriver) {
     try {
       // Remove MLLP wrappers if present
       let message = rawMessage;
@@ -262,36 +508,24 @@ class MessageParser {
         message = message.substring(startIdx + 1, endIdx);
       }
 
-      const segments = message.split('\r').filter(s => s.trim());
-      const parsed = {
-        recordType: 'HL7',
-        segments: []
-      };
-
-      for (const segment of segments) {
-        const fields = segment.split('|');
-        const segmentType = fields[0];
-
-        parsed.segments.push({
-          type: segmentType,
-          fields: fields
+      const encoding = this.parseHL7Encoding(message);
+      const segments = message.split(/\r\n|\r|\n/)
+        .filter(s => s.trim())
+        .map(segment => {
+          const fields = segment.split(encoding.field);
+          return new HL7Segment(fields[0].trim(), fields, encoding);
         });
-      }
 
-      // Extract sample ID from OBR segment
-      const obrSegment = parsed.segments.find(s => s.type === 'OBR');
-      if (obrSegment && obrSegment.fields.length > 3) {
-        parsed.sampleId = obrSegment.fields[3];
+      const parsed = new HL7Message(segments, encoding);
+
+      // Extract sample ID from OBR segment (filler order number, falling back to placer)
+      const obrSegment = parsed.getSegment('OBR');
+      if (obrSegment) {
+        parsed.sampleId = obrSegment.get(3, 1) || obrSegment.get(2, 1);
       }
 
       // Extract results from OBX segments
-      const obxSegments = parsed.segments.filter(s => s.type === 'OBX');
-      parsed.results = obxSegments.map(seg => ({
-        testCode: seg.fields[3] || '',
-        value: seg.fields[5] || '',
-        unit: seg.fields[6] || '',
-        flag: seg.fields[8] || ''
-      }));
+      parsed.results = parsed.getSegments('OBX').map(seg => this.parseHL7Result(seg, driver));
 
       return parsed;
     } catch (error) {
@@ -300,6 +534,43 @@ class MessageParser {
     }
   }
 
+  /**
+   * OBX segment -> result, through the instrument driver
+   */
+  parseHL7Result(obx, driver = this.defaultDriver) {
+    const codeComponents = obx.repetitions(3)[0] || [];
+    return driver.parseResult({
+      testCode: driver.extractTestCode(codeComponents),
+      value: obx.get(5),
+      unit: obx.get(6, 1),
+      referenceRange: obx.get(7),
+      flag: obx.get(8),
+      completedAt: obx.get(14)
+    });
+  }
+
+  /**
+   * Read encoding characters from MSH: MSH-1 is the character after "MSH",
+   * MSH-2 lists component, repetition, escape and subcomponent characters
+   */
+  parseHL7Encoding(message) {
+    const mshIdx = message.indexOf('MSH');
+    if (mshIdx === -1 || message.length < mshIdx + 4) {
+      return { ...DEFAULT_ENCODING };
+    }
+
+    const field = message.charAt(mshIdx + 3);
+    const encodingChars = message.substring(mshIdx + 4).split(field)[0];
+
+    return {
+      field,
+      component: encodingChars.charAt(0) || DEFAULT_ENCODING.component,
+      repetition: encodingChars.charAt(1) || DEFAULT_ENCODING.repetition,
+      escape: encodingChars.charAt(2) || '',
+      subcomponent: encodingChars.charAt(3) || DEFAULT_ENCODING.subcomponent
+    };
+  }
+
   extractSampleId(records) {
     // Try to find specimen ID from order record
     const orderRecord = records.find(r => r.type === 'order');
@@ -307,6 +578,12 @@ class MessageParser {
       return orderRecord.specimenId;
     }
 
+    // Host query carries the specimen in its starting range
+    const queryRecord = records.find(r => r.type === 'query');
+    if (queryRecord && queryRecord.specimenId) {
+      return queryRecord.specimenId;
+    }
+
     // Try patient ID
     const patientRecord = records.find(r => r.type === 'patient');
     if (patientRecord && patientRecord.practiceId) {
@@ -319,7 +596,7 @@ class MessageParser {
   extractResults(records) {
     const results = records.filter(r => r.type === 'result');
     return results.map(r => ({
-      testCode: r.testId || '',
+      testCode: r.testCode || r.testId || '',
       value: r.value || '',
       unit: r.unit || '',
       referenceRange: r.referenceRange || '',
@@ -0,0 +1,97 @@
+const client = require('prom-client');
+
+/**
+ * Metrics - Prometheus registry shared by the agent's components and exposed on the
+ * control API as GET /metrics. Components update the metrics below directly; the
+ * connection label is the connection id from config.connections[].
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'lis_agent_' });
+
+const metrics = {
+  register,
+
+  bytesReceived: new client.Counter({
+    name: 'lis_agent_bytes_received_total',
+    help: 'Bytes received from instruments',
+    labelNames: ['connection'],
+    registers: [register]
+  }),
+
+  framesReceived: new client.Counter({
+    name: 'lis_agent_frames_received_total',
+    help: 'ASTM frames received with a valid checksum',
+    labelNames: ['connection'],
+    registers: [register]
+  }),
+
+  checksumFailures: new client.Counter({
+    name: 'lis_agent_checksum_failures_total',
+    help: 'ASTM frames received with a checksum mismatch',
+    labelNames: ['connection'],
+    registers: [register]
+  }),
+
+  linkControl: new client.Counter({
+    name: 'lis_agent_astm_control_total',
+    help: 'ASTM ACK/NAK bytes exchanged with instruments',
+    labelNames: ['connection', 'type', 'direction'],
+    registers: [register]
+  }),
+
+  messagesReceived: new client.Counter({
+    name: 'lis_agent_messages_received_total',
+    help: 'Complete messages received from instruments',
+    labelNames: ['connection'],
+    registers: [register]
+  }),
+
+  parseFailures: new client.Counter({
+    name: 'lis_agent_parse_failures_total',
+    help: 'Messages that could not be parsed',
+    labelNames: ['format'],
+    registers: [register]
+  }),
+
+  httpDuration: new client.Histogram({
+    name: 'lis_agent_http_request_duration_seconds',
+    help: 'Backend request latency',
+    labelNames: ['method', 'endpoint'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register]
+  }),
+
+  httpResponses: new client.Counter({
+    name: 'lis_agent_http_responses_total',
+    help: 'Backend responses by status code ("network" when no response was received)',
+    labelNames: ['method', 'endpoint', 'status'],
+    registers: [register]
+  }),
+
+  queueSize: new client.Gauge({
+    name: 'lis_agent_queue_size',
+    help: 'Results waiting in the delivery queue',
+    registers: [register]
+  }),
+
+  queueOldestAge: new client.Gauge({
+    name: 'lis_agent_queue_oldest_age_seconds',
+    help: 'Age of the oldest queued result (0 when the queue is empty)',
+    registers: [register]
+  }),
+
+  heartbeats: new client.Counter({
+    name: 'lis_agent_heartbeats_total',
+    help: 'Heartbeats sent to the backend by result',
+    labelNames: ['result'],
+    registers: [register]
+  }),
+
+  lastHeartbeatSuccess: new client.Gauge({
+    name: 'lis_agent_last_heartbeat_success_timestamp_seconds',
+    help: 'Unix time of the last successful heartbeat',
+    registers: [register]
+  })
+};
+
+module.exports = metrics;
@@ -0,0 +1,133 @@
+const axios = require('axios');
+
+/**
+ * OAuth2 Token Provider - Access tokens for the backend from the OAuth2 client
+ * credentials grant (security.oauth2). Tokens are cached and renewed
+ * refreshMarginSeconds before they expire; concurrent requests share one renewal.
+ *
+ * Errors from the token endpoint carry the HttpClient categories: a rejection of the
+ * client credentials is `auth` (the queue pauses instead of spending retries),
+ * network errors, 429 and 5xx are `retryable`. A failure is cached until its retry time
+ * (options.authPauseMs for `auth`, options.failureBackoffMs otherwise) and rethrown
+ * without contacting the endpoint, so a burst of results cannot flood it.
+ */
+class OAuth2TokenProvider {
+  constructor(config, logger, options = {}) {
+    this.logger = logger;
+    this.tokenUrl = config.tokenUrl;
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.scope = config.scope || null;
+    this.audience = config.audience || null;
+    this.clientAuth = config.clientAuth || 'basic'; // basic | post
+    this.refreshMarginMs = (config.refreshMarginSeconds ?? 60) * 1000;
+    this.token = null; // { accessToken, expiresAt }
+    this.pending = null;
+    this.lastError = null;
+    this.failure = null; // { error, retryAt } of the last failed request
+    this.authPauseMs = options.authPauseMs ?? 300000;
+    this.failureBackoffMs = options.failureBackoffMs ?? 5000;
+
+    this.client = axios.create({
+      timeout: options.timeout || 30000,
+      httpsAgent: options.httpsAgent,
+      headers: { 'User-Agent': 'LIS-Client-Agent/1.0' }
+    });
+  }
+
+  /**
+   * @returns {Promise<string>} A valid access token
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.token.expiresAt - this.refreshMarginMs) {
+      return this.token.accessToken;
+    }
+    if (this.failure && Date.now() < this.failure.retryAt) {
+      this.failure.error.retryAfterMs = this.failure.retryAt - Date.now();
+      throw this.failure.error;
+    }
+    if (!this.pending) {
+      this.pending = this.requestToken().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Drop the cached token (e.g. the backend answered 401 to it)
+   */
+  invalidate() {
+    this.token = null;
+  }
+
+  async requestToken() {
+    const form = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (this.scope) form.set('scope', this.scope);
+    if (this.audience) form.set('audience', this.audience);
+
+    const requestConfig = { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } };
+    if (this.clientAuth === 'post') {
+      form.set('client_id', this.clientId);
+      form.set('client_secret', this.clientSecret);
+    } else {
+      requestConfig.auth = { username: this.clientId, password: this.clientSecret };
+    }
+
+    try {
+      const response = await this.client.post(this.tokenUrl, form.toString(), requestConfig);
+      const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+      if (!accessToken) {
+        throw new Error('Token response has no access_token');
+      }
+
+      const lifetimeSeconds = Number(expiresIn) > 0 ? Number(expiresIn) : 3600;
+      this.token = { accessToken, expiresAt: Date.now() + lifetimeSeconds * 1000 };
+      this.lastError = null;
+      this.failure = null;
+      this.logger.info('OAuth2 access token obtained', { clientId: this.clientId, expiresInSeconds: lifetimeSeconds });
+      return accessToken;
+    } catch (error) {
+      const result = this.classifyError(error);
+      const delay = result.category === 'auth' ? this.authPauseMs : this.failureBackoffMs;
+      result.retryAfterMs = delay;
+      this.failure = { error: result, retryAt: Date.now() + delay };
+      this.lastError = result.message;
+      this.logger.error(result.message, { nextRequestAt: new Date(this.failure.retryAt).toISOString() });
+      throw result;
+    }
+  }
+
+  classifyError(error) {
+    const status = error.response?.status;
+    const body = error.response?.data;
+    const detail = body?.error_description || body?.error || error.message;
+    const result = new Error(`OAuth2 token request failed${status ? ` (HTTP ${status})` : ''}: ${detail}`);
+    result.status = status;
+    result.body = body;
+    result.tokenEndpoint = true;
+
+    // Only a token endpoint that answered and refused the client is a credentials problem
+    const retryable = !status || status >= 500 || status === 408 || status === 429;
+    result.category = retryable ? 'retryable' : 'auth';
+    result.retryable = true;
+    return result;
+  }
+
+  /**
+   * Token state for the control API - never the token itself
+   */
+  status() {
+    return {
+      tokenUrl: this.tokenUrl,
+      clientId: this.clientId,
+      tokenExpiresAt: this.token ? new Date(this.token.expiresAt).toISOString() : null,
+      lastError: this.lastError,
+      nextRequestAt: this.failure && Date.now() < this.failure.retryAt
+        ? new Date(this.failure.retryAt).toISOString()
+        : null
+    };
+  }
+}
+
+module.exports = OAuth2TokenProvider;
@@ -1,152 +1,601 @@
 const fs = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
+const Journal = require('./Journal');
+const AuditLog = require('./AuditLog');
+const metrics = require('./Metrics');
 
-class QueueManager {
-  constructor(config, logger) {
+// Inbox item fields holding patient data (encrypted when encryption is enabled)
+const INBOX_SEALED_FIELDS = ['context', 'data'];
+// Inbox files being imported are renamed to <name>.json.importing
+const CLAIMED_SUFFIX = '.importing';
+
+/**
+ * Queue Manager - Retry queue for results the backend could not accept yet
+ *
+ * Items are persisted in an append-only journal (see Journal.js) under queue.dir,
+ * each add/update/remove being fsync'd, so queued results survive crashes and power cuts.
+ * Each item carries its own nextAttemptAt, scheduled with backoff per the retry config.
+ * Items that cannot be delivered go to the dead letter store instead of being dropped;
+ * requeued dead letters and released review entries come back through the inbox
+ * directory (queue.dir/inbox).
+ * Payloads the backend rejects as invalid go to the review store. On an auth failure
+ * delivery pauses (emitting 'paused') and is probed every retry.authPauseMs until it
+ * succeeds again ('resumed'); while paused the agent queues new results instead of
+ * sending them.
+ */
+class QueueManager extends EventEmitter {
+  constructor(config, logger, options = {}) {
+    super();
     this.config = config;
     this.logger = logger;
-    this.queueFile = config.queue.file;
+    this.deadLetters = options.deadLetters || null;
+    this.reviewStore = options.reviewStore || null;
+    this.auditLog = options.auditLog || null;
+    this.queueDir = config.queue.dir || './data/queue';
+    this.inboxDir = QueueManager.inboxDir(config);
+    this.importedInboxFiles = new Set();
+    this.legacyFile = config.queue.file || './data/queue.json';
     this.maxSize = config.queue.maxSize || 1000;
     this.queue = [];
     this.isProcessing = false;
     this.processInterval = null;
-    
+    this.pollIntervalMs = config.queue.pollIntervalMs || 1000;
+    this.sendIntervalMs = config.queue.sendIntervalMs ?? 500; // Pacing between deliveries
+    this.retryAt = 0;
+    this.pausedReason = null;
+    this.authPauseMs = config.retry?.authPauseMs || 300000;
+
+    this.cipher = options.cipher || null;
+    this.journal = new Journal({
+      dir: this.queueDir,
+      segmentMaxBytes: config.queue.segmentMaxBytes,
+      compactMinRecords: config.queue.compactMinRecords,
+      cipher: this.cipher
+    }, logger);
+
     this.loadQueue();
   }
 
+  static inboxDir(config) {
+    return path.join(config.queue.dir || './data/queue', 'inbox');
+  }
+
   loadQueue() {
+    this.journal.open();
+    this.queue = this.journal.values();
+    this.setAsideSuspects();
+    this.migrateLegacyFile();
+    this.importInbox();
+
+    if (this.journal.needsCompaction()) {
+      try {
+        this.journal.compact();
+      } catch (error) {
+        // The journal stays usable; compaction is tried again after the next queue pass
+        this.logger.error('Queue journal compaction failed:', error.message);
+      }
+    }
+
+    this.updateMetrics();
+    this.logger.info(`Loaded ${this.queue.length} items from queue`);
+  }
+
+  /**
+   * Items a corrupt journal record may have removed were possibly delivered already;
+   * they go to the dead letters for an operator to check rather than being sent again
+   */
+  setAsideSuspects() {
+    for (const [id, corruptRecords] of this.journal.suspects()) {
+      const item = this.queue.find(i => i.id === id);
+      if (!item) continue;
+
+      item.lastError = `Journal recovery skipped ${corruptRecords} corrupt record(s) after this item - it may already have been delivered`;
+      this.logger.error(`Queue item ${id} may already have been delivered - moving it to dead letters`, { corruptRecords });
+      this.deadLetter(item, 'journal_corrupt');
+    }
+  }
+
+  /**
+   * Import items from a queue.json written by earlier versions, then rename it aside
+   */
+  migrateLegacyFile() {
+    if (!fs.existsSync(this.legacyFile)) return;
+
     try {
-      const queueDir = path.dirname(this.queueFile);
-      if (!fs.existsSync(queueDir)) {
-        fs.mkdirSync(queueDir, { recursive: true });
+      const items = JSON.parse(fs.readFileSync(this.legacyFile, 'utf8'));
+      for (const item of Array.isArray(items) ? items : []) {
+        this.persist({
+          id: this.journal.nextId(),
+          timestamp: item.timestamp || new Date().toISOString(),
+          attempts: item.attempts || 0,
+          data: item.data
+        });
       }
+      if (this.cipher?.enabled) {
+        // Keeping a plain copy would defeat encryption at rest
+        fs.unlinkSync(this.legacyFile);
+      } else {
+        fs.renameSync(this.legacyFile, `${this.legacyFile}.migrated`);
+      }
+      this.logger.info(`Migrated ${items.length} items from ${path.basename(this.legacyFile)} to queue journal`);
+    } catch (error) {
+      // Leave the file in place so nothing is lost; it is retried on next start
+      this.logger.error(`Failed to migrate legacy queue file ${this.legacyFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Take over items dropped into the inbox directory (requeued dead letters, released
+   * review entries). Each file is claimed (renamed to <name>.importing) before its item is
+   * persisted and the item remembers the file name, so a file that cannot be removed
+   * afterwards is not imported twice. A file that cannot be read is renamed to
+   * <name>.failed for an operator to check instead of being retried every poll.
+   */
+  importInbox() {
+    if (!fs.existsSync(this.inboxDir)) return;
 
-      if (fs.existsSync(this.queueFile)) {
-        const data = fs.readFileSync(this.queueFile, 'utf8');
-        this.queue = JSON.parse(data);
-        this.logger.info(`Loaded ${this.queue.length} items from queue`);
+    const queued = new Set(this.queue.map(item => item.inboxFile).filter(Boolean));
+    for (const name of fs.readdirSync(this.inboxDir).sort()) {
+      // Claimed files left behind are picked up again: by a crash before the item was
+      // persisted, or by a failed unlink after it was
+      const file = name.endsWith(CLAIMED_SUFFIX) ? name.slice(0, -CLAIMED_SUFFIX.length) : name;
+      if (!file.endsWith('.json')) continue;
+      const claimedFile = path.join(this.inboxDir, `${file}${CLAIMED_SUFFIX}`);
+
+      if (name !== file && (this.importedInboxFiles.has(file) || queued.has(file))) {
+        this.removeInboxFile(file);
+        continue;
+      }
+      if (name === file) {
+        try {
+          fs.renameSync(path.join(this.inboxDir, file), claimedFile);
+        } catch (error) {
+          this.logger.error(`Failed to claim queue inbox file ${file}:`, error.message);
+          continue;
+        }
       }
+
+      let item;
+      try {
+        const stored = JSON.parse(fs.readFileSync(claimedFile, 'utf8'));
+        item = this.cipher ? this.cipher.openFields(stored, INBOX_SEALED_FIELDS) : stored;
+        if (!item || item.data === undefined) {
+          throw new Error('No queue item data');
+        }
+      } catch (error) {
+        this.logger.error(`Queue inbox file ${file} cannot be read - moved to ${file}.failed:`, error.message);
+        try {
+          fs.renameSync(claimedFile, path.join(this.inboxDir, `${file}.failed`));
+        } catch (renameError) {
+          this.logger.error(`Failed to set aside queue inbox file ${file}:`, renameError.message);
+        }
+        continue;
+      }
+
+      const entry = {
+        id: this.journal.nextId(),
+        timestamp: item.timestamp || new Date().toISOString(),
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        lastError: null,
+        history: item.history || [],
+        context: item.context || {},
+        data: item.data,
+        inboxFile: file
+      };
+      try {
+        this.persist(entry);
+      } catch (error) {
+        // Still claimed - retried on the next poll
+        this.logger.error(`Failed to import queue inbox file ${file}:`, error.message);
+        continue;
+      }
+      this.importedInboxFiles.add(file);
+      const handback = [...entry.history].reverse().find(h => h.event === 'requeued' || h.event === 'released') || {};
+      this.audit('requeued', entry, {
+        deadLetterId: handback.deadLetterId || null,
+        reviewId: handback.reviewId || null
+      }, handback.by ? `user:${handback.by}` : 'operator');
+      this.logger.info(`Imported requeued item ${file} into queue`);
+      this.removeInboxFile(file);
+    }
+  }
+
+  /**
+   * Remove the claimed copy of an imported inbox file
+   */
+  removeInboxFile(file) {
+    try {
+      fs.rmSync(path.join(this.inboxDir, `${file}${CLAIMED_SUFFIX}`), { force: true });
+      this.importedInboxFiles.delete(file);
     } catch (error) {
-      this.logger.error('Failed to load queue:', error);
-      this.queue = [];
+      this.logger.warn(`Failed to remove imported queue inbox file ${file} - retried on next poll:`, error.message);
+    }
+  }
+
+  persist(item) {
+    this.journal.put(item.id, item);
+    if (!this.queue.includes(item)) {
+      this.queue.push(item);
+      metrics.queueSize.set(this.queue.length);
     }
   }
 
-  saveQueue() {
+  remove(item) {
+    this.journal.delete(item.id);
+    this.queue = this.queue.filter(i => i !== item);
+    metrics.queueSize.set(this.queue.length);
+  }
+
+  /**
+   * Refresh the queue gauges (the oldest item's age grows between changes, so this
+   * also runs on every poll)
+   */
+  updateMetrics() {
+    const { size, oldestItemAgeMs } = this.stats();
+    metrics.queueSize.set(size);
+    metrics.queueOldestAge.set(oldestItemAgeMs / 1000);
+  }
+
+  /**
+   * Move an item out of the queue into the dead letter store
+   * The item stays queued if the dead letter cannot be written, so it is never lost.
+   */
+  deadLetter(item, reason) {
+    if (!this.deadLetters) {
+      this.logger.error(`Item ${item.id} dropped (${reason}) - no dead letter store configured`);
+      this.remove(item);
+      this.audit('dropped', item, { reason, attempts: item.attempts || 0 });
+      return true;
+    }
+
     try {
-      const queueDir = path.dirname(this.queueFile);
-      if (!fs.existsSync(queueDir)) {
-        fs.mkdirSync(queueDir, { recursive: true });
-      }
-      fs.writeFileSync(this.queueFile, JSON.stringify(this.queue, null, 2));
+      const deadLetterId = this.deadLetters.add(reason, item);
+      this.remove(item);
+      this.audit('dead_lettered', item, {
+        reason,
+        deadLetterId,
+        attempts: item.attempts || 0,
+        lastError: item.lastError ? AuditLog.errorText(item.lastError) : null
+      });
+      return true;
     } catch (error) {
-      this.logger.error('Failed to save queue:', error);
+      this.logger.error(`Failed to dead-letter item ${item.id} - keeping it queued:`, error);
+      return false;
     }
   }
 
-  add(item) {
-    if (this.queue.length >= this.maxSize) {
-      this.logger.warn('Queue full, dropping oldest item');
-      this.queue.shift();
+  /**
+   * Route a permanently failed item: validation rejections to the review store (with the
+   * backend's error body), anything else to the dead letters
+   * @returns {boolean} Whether the item was stored (otherwise it stays queued)
+   */
+  reject(item, error) {
+    this.audit('rejected', item, {
+      status: error.status || null,
+      category: error.category || null,
+      error: AuditLog.errorText(error)
+    });
+    if (error.category !== 'validation' || !this.reviewStore) {
+      return this.deadLetter(item, 'rejected');
+    }
+
+    try {
+      const context = item.context || {};
+      const reviewId = this.reviewStore.add({
+        reason: 'backend_rejected',
+        instrumentId: context.instrumentId || null,
+        connectionId: context.connectionId || null,
+        payload: item.data,
+        details: {
+          status: error.status || null,
+          error: error.message,
+          body: error.body === undefined ? null : error.body,
+          raw: context.raw || null,
+          messageId: context.messageId || null,
+          idempotencyKey: context.idempotencyKey || null,
+          history: item.history || []
+        }
+      });
+      this.remove(item);
+      this.audit('held_for_review', item, { reason: 'backend_rejected', reviewId });
+      return true;
+    } catch (storeError) {
+      this.logger.error(`Failed to hold rejected item ${item.id} for review - keeping it queued:`, storeError);
+      return false;
     }
+  }
 
-    this.queue.push({
-      id: Date.now().toString(),
-      timestamp: new Date().toISOString(),
-      attempts: 0,
-      data: item
+  /**
+   * Stop delivering until `until` (default: until resume()); the next attempt after
+   * that acts as a probe
+   */
+  pause(reason, until = Infinity) {
+    const wasPaused = !!this.pausedReason;
+    this.pausedReason = reason;
+    this.retryAt = until;
+
+    this.logger.error(`Queue delivery paused: ${reason}`, {
+      until: Number.isFinite(until) ? new Date(until).toISOString() : 'resumed manually',
+      queueSize: this.queue.length
     });
+    if (!wasPaused) {
+      this.emit('paused', { reason, until });
+    }
+  }
+
+  resume() {
+    if (!this.pausedReason) return;
+
+    this.logger.info('Queue delivery resumed', { previousReason: this.pausedReason });
+    this.pausedReason = null;
+    this.retryAt = 0;
+    this.emit('resumed');
+  }
+
+  isPaused() {
+    return !!this.pausedReason;
+  }
+
+  /**
+   * Make every item due now and run a pass, ignoring backoff (not while paused or while a
+   * pass is already running)
+   * Schedules are only changed in memory; after a restart items keep their journaled times.
+   */
+  async flush() {
+    if (this.isPaused()) {
+      return { flushed: false, reason: `Delivery is paused: ${this.pausedReason}`, size: this.queue.length };
+    }
+    if (this.isProcessing) {
+      return { flushed: false, reason: 'A delivery pass is already running - try again when it ends', size: this.queue.length };
+    }
 
-    this.saveQueue();
-    this.logger.debug(`Added item to queue. Queue size: ${this.queue.length}`);
+    const now = new Date().toISOString();
+    for (const item of this.queue) {
+      item.nextAttemptAt = now;
+    }
+    this.retryAt = 0;
+
+    const before = this.queue.length;
+    await this.process('flush');
+    return { flushed: true, attempted: before, size: this.queue.length };
+  }
+
+  stats() {
+    const now = Date.now();
+    const oldest = this.queue.reduce((min, item) => Math.min(min, Date.parse(item.timestamp) || now), now);
+    const earliest = this.queue.reduce((min, item) => Math.min(min, Date.parse(item.nextAttemptAt) || now), Infinity);
+    const nextAttempt = Math.max(earliest, this.retryAt);
+
+    return {
+      size: this.queue.length,
+      maxSize: this.maxSize,
+      oldestItemAgeMs: this.queue.length > 0 ? now - oldest : 0,
+      nextAttemptAt: Number.isFinite(nextAttempt) ? new Date(nextAttempt).toISOString() : null,
+      paused: this.isPaused(),
+      pausedReason: this.pausedReason
+    };
+  }
+
+  /**
+   * Backend refused our credentials - keep the item and hold the whole queue
+   */
+  handleAuthFailure(error) {
+    const reason = error.tokenEndpoint
+      ? `OAuth2 token endpoint rejected the client credentials (HTTP ${error.status})`
+      : `backend authentication failed (HTTP ${error.status})`;
+    this.pause(reason, Date.now() + this.authPauseMs);
+  }
+
+  recordFailure(item, error) {
+    item.lastError = error.message;
+    item.history = item.history || [];
+    item.history.push({ at: new Date().toISOString(), error: error.message, status: error.status || null });
+  }
+
+  /**
+   * @param {Object} item - Payload to deliver
+   * @param {Object} [options] - { error } from the failed first delivery attempt,
+   *   { context } with the raw message and its instrumentId/connectionId and { reason }
+   *   when the item is queued without an attempt
+   * @returns {string|null} Queue item id, or null when the item could not be persisted
+   */
+  add(item, options = {}) {
+    try {
+      if (this.queue.length >= this.maxSize) {
+        this.logger.warn('Queue full, moving oldest item to dead letters');
+        this.deadLetter(this.queue[0], 'queue_full');
+      }
+
+      const now = Date.now();
+      const entry = {
+        id: this.journal.nextId(),
+        timestamp: new Date(now).toISOString(),
+        attempts: 0,
+        nextAttemptAt: new Date(now + this.retryDelay(0, options.error)).toISOString(),
+        lastError: null,
+        history: [],
+        context: options.context || {},
+        data: item
+      };
+      if (options.error) {
+        this.recordFailure(entry, options.error);
+      }
+      this.persist(entry);
+      this.audit('queued', entry, {
+        error: options.error ? AuditLog.errorText(options.error) : null,
+        reason: options.reason || null,
+        nextAttemptAt: entry.nextAttemptAt
+      });
+      this.logger.debug(`Added item to queue. Queue size: ${this.queue.length}`);
+      return entry.id;
+    } catch (error) {
+      this.logger.error('Failed to persist queue item - result is NOT queued:', error);
+      return null;
+    }
   }
 
   size() {
     return this.queue.length;
   }
 
+  /**
+   * Delay before the next attempt after `attempts` failed retries:
+   * retry.delayMs doubled per attempt when retry.exponentialBackoff is set, capped at
+   * retry.maxDelayMs, with jitter in [delay/2, delay] so items queued together spread out.
+   * A server Retry-After (error.retryAfterMs) is honored when it is longer.
+   */
+  retryDelay(attempts, error) {
+    const retry = this.config.retry || {};
+    const baseDelay = retry.delayMs || 5000;
+    const maxDelay = retry.maxDelayMs || 300000;
+
+    let delay = retry.exponentialBackoff ? baseDelay * Math.pow(2, attempts) : baseDelay;
+    delay = Math.min(delay, maxDelay);
+    if (retry.jitter !== false) {
+      delay = delay / 2 + Math.random() * delay / 2;
+    }
+
+    if (error && error.retryAfterMs) {
+      delay = Math.max(delay, error.retryAfterMs);
+    }
+    return Math.round(delay);
+  }
+
+  /**
+   * Items whose next attempt is due, earliest first
+   */
+  dueItems(now = Date.now()) {
+    return this.queue
+      .filter(item => !item.nextAttemptAt || Date.parse(item.nextAttemptAt) <= now)
+      .sort((a, b) => Date.parse(a.nextAttemptAt || 0) - Date.parse(b.nextAttemptAt || 0));
+  }
+
+  /**
+   * @param {Function} sendFn - (data, item) => Promise; resolves when delivered, rejects with an error whose
+   *   `retryable` is false for permanent failures (resolving false counts as retryable)
+   */
   async start(sendFn) {
     if (this.processInterval) return;
 
     this.sendFn = sendFn;
     this.processInterval = setInterval(async () => {
       await this.process();
-    }, 5000); // Process queue every 5 seconds
+    }, this.pollIntervalMs);
 
     this.logger.info('Queue processor started');
   }
 
-  async process() {
-    if (this.isProcessing || this.queue.length === 0) {
+  /**
+   * @param {string} [trigger] - scheduled | flush, recorded in the audit log
+   */
+  async process(trigger = 'scheduled') {
+    this.importInbox();
+    this.updateMetrics();
+
+    if (this.isProcessing || this.queue.length === 0 || Date.now() < this.retryAt) {
       return;
     }
 
     this.isProcessing = true;
 
     try {
-      const failed = [];
-
-      while (this.queue.length > 0) {
-        const item = this.queue[0];
+      for (const item of this.dueItems()) {
+        let error = null;
 
         try {
           this.logger.debug(`Processing queued item: ${item.id}`);
-          const success = await this.sendFn(item.data);
-
-          if (success) {
-            this.queue.shift(); // Remove from queue on success
-            this.logger.debug(`Item ${item.id} sent successfully`);
-          } else {
-            item.attempts++;
-            
-            if (item.attempts >= this.config.retry.maxRetries) {
-              this.logger.error(`Item ${item.id} exceeded max retries`);
-              this.queue.shift();
-            } else {
-              // Move to end of queue for retry
-              this.queue.shift();
-              this.queue.push(item);
-            }
+          if (!await this.sendFn(item.data, item)) {
+            error = new Error('Delivery failed');
+            error.retryable = true;
           }
-        } catch (error) {
+        } catch (sendError) {
+          error = sendError;
+        }
+
+        if (!error) {
+          this.remove(item);
+          this.audit('sent', item, { attempt: item.attempts + 1, trigger });
+          this.resume();
+          this.logger.debug(`Item ${item.id} sent successfully`);
+        } else if (error.category === 'auth') {
+          // Not the item's fault - no attempt counted
+          this.recordFailure(item, error);
+          this.persist(item);
+          this.audit('delivery_failed', item, { category: 'auth', status: error.status || null, error: AuditLog.errorText(error), trigger });
+          this.handleAuthFailure(error);
+          break;
+        } else if (error.retryable === false) {
+          this.logger.error(`Item ${item.id} rejected permanently: ${error.message}`);
+          item.attempts++;
+          this.recordFailure(item, error);
+          this.reject(item, error);
+          this.resume(); // The backend answered, so credentials are fine again
+        } else {
           item.attempts++;
-          this.logger.error(`Error processing item ${item.id}:`, error);
+          this.recordFailure(item, error);
 
           if (item.attempts >= this.config.retry.maxRetries) {
-            this.queue.shift();
+            this.logger.error(`Item ${item.id} exceeded max retries`);
+            this.deadLetter(item, 'max_retries');
           } else {
-            this.queue.shift();
-            this.queue.push(item);
+            const delay = this.retryDelay(item.attempts, error);
+            item.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            this.persist(item);
+            this.audit('retry_scheduled', item, {
+              attempt: item.attempts,
+              status: error.status || null,
+              error: AuditLog.errorText(error),
+              nextAttemptAt: item.nextAttemptAt,
+              trigger
+            });
+            this.logger.warn(`Item ${item.id} failed (attempt ${item.attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+
+            // Backend is unavailable - hold the rest of the queue until this item is due
+            // rather than spending every item's retries on the same outage
+            this.retryAt = Date.parse(item.nextAttemptAt);
+            break;
           }
         }
 
-        // Delay between items to avoid overwhelming server
-        await new Promise(resolve => setTimeout(resolve, 500));
+        if (this.sendIntervalMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.sendIntervalMs));
+        }
       }
 
-      if (this.queue.length > 0) {
-        this.saveQueue();
+      if (this.journal.needsCompaction()) {
+        this.journal.compact();
       }
+    } catch (error) {
+      this.logger.error('Queue processing failed:', error);
     } finally {
       this.isProcessing = false;
     }
   }
 
+  audit(event, item, details, actor) {
+    if (this.auditLog) {
+      this.auditLog.recordItem(event, item, { actor, details });
+    }
+  }
+
   stop() {
     if (this.processInterval) {
       clearInterval(this.processInterval);
       this.processInterval = null;
       this.logger.info('Queue processor stopped');
     }
-    this.saveQueue();
+    this.journal.close();
   }
 
   clear() {
-    this.queue = [];
-    this.saveQueue();
+    for (const item of [...this.queue]) {
+      this.remove(item);
+    }
+    this.journal.compact();
     this.logger.info('Queue cleared');
   }
 }
 
 module.exports = QueueManager;
-
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Encrypted when a cipher is enabled (see DataCipher); ids and specimen ids stay searchable
+const SEALED_FIELDS = ['raw'];
+
+/**
+ * Raw Archive - Every message exactly as the instrument sent it, for audit and replay
+ *
+ * One JSON line per message in a daily file (archive.dir/YYYY-MM-DD.jsonl, UTC dates):
+ *   { id, receivedAt, connectionId, instrumentId, specimenIds, raw, replayOf }
+ * Control characters in `raw` (STX, ETX, CR...) survive as JSON escapes. Files older
+ * than archive.retentionDays are deleted when the day rolls over. With encryption
+ * enabled `raw` is stored encrypted; the other fields stay plain so searches work.
+ *
+ * Replays requested with src/tools/archive.js are dropped into archive.dir/replay and
+ * picked up by the running agent (handleReplayRequests).
+ */
+class RawArchive {
+  constructor(config, logger, options = {}) {
+    this.logger = logger;
+    this.cipher = options.cipher || null;
+    this.enabled = config.archive?.enabled !== false;
+    this.dir = config.archive?.dir || './data/archive';
+    this.retentionDays = config.archive?.retentionDays || 90;
+    this.replayDir = path.join(this.dir, 'replay');
+    this.currentDay = null;
+  }
+
+  ensureDir(dir = this.dir) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  dayOf(date) {
+    return date.toISOString().substring(0, 10);
+  }
+
+  fileFor(day) {
+    return path.join(this.dir, `${day}.jsonl`);
+  }
+
+  /**
+   * @param {Object} entry - { raw, connectionId, instrumentId, specimenIds, replayOf }
+   * @returns {string|null} Archive id, or null when archiving is disabled or failed
+   */
+  append(entry) {
+    if (!this.enabled) return null;
+
+    try {
+      this.ensureDir();
+      const now = new Date();
+      const day = this.dayOf(now);
+      if (day !== this.currentDay) {
+        this.currentDay = day;
+        this.prune(now);
+      }
+
+      const id = `${now.getTime()}-${crypto.randomBytes(3).toString('hex')}`;
+      const record = {
+        id,
+        receivedAt: now.toISOString(),
+        connectionId: entry.connectionId || null,
+        instrumentId: entry.instrumentId || null,
+        specimenIds: entry.specimenIds || [],
+        raw: String(entry.raw),
+        replayOf: entry.replayOf || null
+      };
+      fs.appendFileSync(this.fileFor(day), JSON.stringify(this.seal(record)) + '\n');
+      return id;
+    } catch (error) {
+      this.logger.error('Failed to archive raw message:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete daily files older than the retention period
+   */
+  prune(now = new Date()) {
+    const cutoff = this.dayOf(new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000));
+    for (const day of this.days()) {
+      if (day < cutoff) {
+        fs.unlinkSync(this.fileFor(day));
+        this.logger.info(`Raw archive ${day} removed (older than ${this.retentionDays} days)`);
+      }
+    }
+  }
+
+  days() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f))
+      .map(f => f.substring(0, 10))
+      .sort();
+  }
+
+  seal(record) {
+    return this.cipher ? this.cipher.sealFields(record, SEALED_FIELDS) : record;
+  }
+
+  readDay(day) {
+    const file = this.fileFor(day);
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        let stored;
+        try {
+          stored = JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+        return this.cipher ? this.cipher.openFields(stored, SEALED_FIELDS) : stored;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Rewrite a past day with the active encryption key. The current day is still
+   * being appended to by the agent and is left alone.
+   * @returns {number} Entries rewritten
+   */
+  resealDay(day) {
+    if (day === this.dayOf(new Date())) return 0;
+
+    const entries = this.readDay(day);
+    const file = this.fileFor(day);
+    fs.writeFileSync(`${file}.tmp`, entries.map(entry => JSON.stringify(this.seal(entry)) + '\n').join(''));
+    fs.renameSync(`${file}.tmp`, file);
+    return entries.length;
+  }
+
+  /**
+   * @param {Object} filter - { specimenId, instrumentId, connectionId, from, to } (from/to YYYY-MM-DD, UTC)
+   */
+  search(filter = {}) {
+    const specimenId = filter.specimenId ? String(filter.specimenId).toUpperCase() : null;
+
+    return this.days()
+      .filter(day => (!filter.from || day >= filter.from) && (!filter.to || day <= filter.to))
+      .flatMap(day => this.readDay(day))
+      .filter(entry => !filter.instrumentId || entry.instrumentId === filter.instrumentId)
+      .filter(entry => !filter.connectionId || entry.connectionId === filter.connectionId)
+      .filter(entry => !specimenId || entry.specimenIds.some(id => String(id).toUpperCase() === specimenId));
+  }
+
+  get(id) {
+    const timestamp = parseInt(id, 10);
+    if (Number.isNaN(timestamp)) return null;
+    return this.readDay(this.dayOf(new Date(timestamp))).find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Ask the running agent to push an archived message through the pipeline again.
+   * Each request gets its own requestId, which the agent uses for the idempotency key.
+   * @param {string} [requestedBy] - Operator account, recorded in the audit log
+   */
+  requestReplay(id, requestedBy = null) {
+    const entry = this.get(id);
+    if (!entry) return false;
+
+    this.ensureDir(this.replayDir);
+    const file = path.join(this.replayDir, `${id}.json`);
+    const requestId = `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.seal({ ...entry, requestId, requestedBy })));
+    fs.renameSync(`${file}.tmp`, file);
+    return true;
+  }
+
+  /**
+   * Pass each pending replay request to `handler`, oldest first. A request is removed once
+   * the handler has taken it; one that cannot be read or that the handler throws on is
+   * renamed to <id>.json.failed so it is neither lost nor retried every poll.
+   * @param {Function} handler - (entry) => void
+   * @returns {number} Requests handled
+   */
+  handleReplayRequests(handler) {
+    if (!fs.existsSync(this.replayDir)) return 0;
+
+    let handled = 0;
+    for (const file of fs.readdirSync(this.replayDir).filter(f => f.endsWith('.json')).sort()) {
+      const replayFile = path.join(this.replayDir, file);
+      try {
+        const stored = JSON.parse(fs.readFileSync(replayFile, 'utf8'));
+        handler(this.cipher ? this.cipher.openFields(stored, SEALED_FIELDS) : stored);
+        fs.unlinkSync(replayFile);
+        handled++;
+      } catch (error) {
+        this.logger.error(`Replay request ${file} failed - moved to ${file}.failed:`, error.message);
+        try {
+          fs.renameSync(replayFile, `${replayFile}.failed`);
+        } catch (renameError) {
+          this.logger.error(`Failed to set aside replay request ${file}:`, renameError.message);
+        }
+      }
+    }
+    return handled;
+  }
+}
+
+module.exports = RawArchive;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Fields holding patient data, encrypted when a cipher is enabled (see DataCipher)
+const SEALED_FIELDS = ['payload', 'details'];
+const INBOX_SEALED_FIELDS = ['context', 'data']; // As read by QueueManager.importInbox
+
+/**
+ * Review Store - Results held back from delivery until a technologist reviews them
+ * (unmapped test codes, payloads the backend rejected as invalid). One JSON file per
+ * entry so entries survive restarts and can be inspected, released or removed
+ * individually (see src/tools/review.js).
+ */
+class ReviewStore {
+  constructor(config, logger, options = {}) {
+    this.logger = logger;
+    this.dir = config.review?.dir || './data/review';
+    this.cipher = options.cipher || null;
+  }
+
+  ensureDir() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * @param {Object} entry - { reason, instrumentId, connectionId, payload, details }
+   * @returns {string} Entry id
+   */
+  add(entry) {
+    this.ensureDir();
+    const id = `${Date.now()}-${crypto.randomUUID()}`;
+    const record = {
+      id,
+      createdAt: new Date().toISOString(),
+      ...entry
+    };
+    this.write(id, record);
+    this.logger.warn(`Result held for review: ${entry.reason}`, { id, instrumentId: entry.instrumentId });
+    return id;
+  }
+
+  ids() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(f => f.endsWith('.json'))
+      .sort()
+      .map(f => path.basename(f, '.json'));
+  }
+
+  list() {
+    return this.ids().map(id => this.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Write then rename so a crash never leaves a half-written entry
+   */
+  write(id, record) {
+    const file = path.join(this.dir, `${id}.json`);
+    const stored = this.cipher ? this.cipher.sealFields(record, SEALED_FIELDS) : record;
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(stored, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  get(id) {
+    let stored;
+    try {
+      stored = JSON.parse(fs.readFileSync(path.join(this.dir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+    return this.cipher ? this.cipher.openFields(stored, SEALED_FIELDS) : stored;
+  }
+
+  /**
+   * Rewrite an entry with the active encryption key
+   */
+  reseal(id) {
+    const record = this.get(id);
+    if (!record) return false;
+    this.write(id, record);
+    return true;
+  }
+
+  remove(id) {
+    const file = path.join(this.dir, `${id}.json`);
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+  }
+
+  size() {
+    return fs.existsSync(this.dir) ? fs.readdirSync(this.dir).filter(f => f.endsWith('.json')).length : 0;
+  }
+
+  /**
+   * Hand an entry to the delivery queue through its inbox directory, which the running
+   * agent imports (see QueueManager.importInbox), then remove it from here
+   * @param {Array} [payload] - Payload to deliver instead of the held one (e.g. re-mapped)
+   * @param {string} [requestedBy] - Operator account, recorded in the item history and audit log
+   */
+  release(id, inboxDir, { payload, requestedBy = null } = {}) {
+    const record = this.get(id);
+    if (!record) return false;
+
+    if (!fs.existsSync(inboxDir)) {
+      fs.mkdirSync(inboxDir, { recursive: true });
+    }
+
+    const details = record.details || {};
+    const item = {
+      timestamp: record.createdAt,
+      history: [...(details.history || []), { at: new Date().toISOString(), event: 'released', reviewId: id, by: requestedBy }],
+      context: {
+        raw: details.raw || null,
+        instrumentId: record.instrumentId || null,
+        connectionId: record.connectionId || null,
+        messageId: details.messageId || null,
+        // Replays carry their own key (see LISAgent.handleDataWithContext)
+        ...(details.idempotencyKey && { idempotencyKey: details.idempotencyKey })
+      },
+      data: payload || record.payload
+    };
+
+    const file = path.join(inboxDir, `review-${id}.json`);
+    const stored = this.cipher ? this.cipher.sealFields(item, INBOX_SEALED_FIELDS) : item;
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(stored));
+    fs.renameSync(`${file}.tmp`, file);
+    this.remove(id);
+    this.logger.info('Review entry released', { id });
+    return true;
+  }
+
+  specimenIds(record) {
+    const patients = Array.isArray(record.payload) ? record.payload : [record.payload];
+    return patients.flatMap(p => (p?.Orders || []).map(o => o.SpecimenID)).filter(Boolean);
+  }
+}
+
+module.exports = ReviewStore;
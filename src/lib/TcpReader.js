@@ -1,21 +1,28 @@
 const net = require('net');
 const EventEmitter = require('events');
 const AstmProtocolHandler = require('./AstmProtocolHandler');
+const metrics = require('./Metrics');
 
 class TcpReader extends EventEmitter {
-  constructor(config, logger) {
+  constructor(config, logger, options = {}) {
     super();
     this.config = config;
     this.logger = logger;
+    this.driver = options.driver || null; // Instrument driver may define message completion
+    this.connectionId = String(options.connectionId ?? config.port); // Metrics label
     this.socket = null;
     this.buffer = '';
     this.reconnectDelay = 5000;
-    this.useProtocolHandler = config.useProtocolHandler !== false; // Default true
+    this.useMllp = config.framing === 'mllp'; // HL7 v2 over MLLP (VT ... FS CR)
+    this.mllpBuffer = Buffer.alloc(0);
+    this.useProtocolHandler = !this.useMllp && config.useProtocolHandler !== false; // Default true
     this.protocolHandler = null;
     
     if (this.useProtocolHandler) {
       this.protocolHandler = new AstmProtocolHandler(logger, {
-        alarmTime: config.alarmTime || 10000
+        alarmTime: config.alarmTime || 10000,
+        write: (data) => this.write(data),
+        connectionId: this.connectionId
       });
       this.setupProtocolHandler();
     }
@@ -38,12 +45,27 @@ class TcpReader extends EventEmitter {
     });
   }
 
+  /**
+   * Listen for the instrument. Resolves once the port is open; rejects when it cannot
+   * be (e.g. EADDRINUSE). One instrument at a time: the framing and protocol state
+   * belong to a single link, so a second client is refused while one is connected.
+   */
   async connect() {
     try {
       this.logger.info('Listening for TCP connections on port:', this.config.port);
 
       // Create TCP server instead of client
       this.server = net.createServer((socket) => {
+        if (this.socket && !this.socket.destroyed) {
+          this.logger.warn('Refused TCP connection - an instrument is already connected', {
+            remoteAddress: socket.remoteAddress,
+            connectedAddress: this.socket.remoteAddress,
+            localPort: socket.localPort
+          });
+          socket.destroy();
+          return;
+        }
+
         this.logger.info('Instrument connected', { 
           remoteAddress: socket.remoteAddress,
           localPort: socket.localPort 
@@ -55,8 +77,17 @@ class TcpReader extends EventEmitter {
         socket.setKeepAlive(true, 1000); // Start after 1 second of idleness
         socket.setNoDelay(true); // Disable Nagle algorithm for low latency
 
-        // Use byte-level reading if protocol handler is enabled
-        if (this.useProtocolHandler) {
+        socket.on('data', (data) => {
+          metrics.bytesReceived.inc({ connection: this.connectionId }, data.length);
+        });
+
+        // Use MLLP framing for HL7, byte-level reading if protocol handler is enabled
+        if (this.useMllp) {
+          this.mllpBuffer = Buffer.alloc(0);
+          socket.on('data', (data) => {
+            this.handleMllpData(data);
+          });
+        } else if (this.useProtocolHandler) {
           socket.on('data', (data) => {
             this.handleByteLevelData(data);
           });
@@ -74,7 +105,12 @@ class TcpReader extends EventEmitter {
 
         socket.on('close', () => {
           this.logger.warn('Instrument disconnected');
-          this.socket = null;
+          if (this.socket === socket) {
+            this.socket = null;
+          }
+          if (this.protocolHandler) {
+            this.protocolHandler.cancelSending('Link closed before transmission completed');
+          }
           this.emit('disconnect');
         });
 
@@ -86,19 +122,32 @@ class TcpReader extends EventEmitter {
         socket.setTimeout(60000); // 60 seconds
       });
 
-      this.server.listen(this.config.port, () => {
-        this.logger.info('TCP server listening on port:', this.config.port);
+      const server = this.server;
+      await new Promise((resolve, reject) => {
+        const onError = (error) => {
+          server.off('listening', onListening);
+          reject(error);
+        };
+        const onListening = () => {
+          server.off('error', onError);
+          resolve();
+        };
+        server.once('error', onError);
+        server.once('listening', onListening);
+        server.listen(this.config.port);
       });
+      this.logger.info('TCP server listening on port:', this.config.port);
 
-      this.server.on('error', (error) => {
+      server.on('error', (error) => {
         this.logger.error('TCP server error:', error);
-        if (error.code === 'EADDRINUSE') {
-          this.logger.error(`Port ${this.config.port} is already in use!`);
-        }
       });
 
     } catch (error) {
+      if (error.code === 'EADDRINUSE') {
+        this.logger.error(`Port ${this.config.port} is already in use!`);
+      }
       this.logger.error('Failed to start TCP server:', error);
+      this.server = null;
       throw error;
     }
   }
@@ -128,6 +177,43 @@ class TcpReader extends EventEmitter {
     }
   }
 
+  /**
+   * Handle MLLP-framed HL7 data: <VT> message <FS><CR>
+   * A chunk may hold several messages or only part of one
+   */
+  handleMllpData(data) {
+    try {
+      this.mllpBuffer = Buffer.concat([this.mllpBuffer, data]);
+
+      while (this.mllpBuffer.length > 0) {
+        const start = this.mllpBuffer.indexOf(0x0B);
+        if (start === -1) {
+          // No start block - nothing in the buffer can belong to a message
+          this.mllpBuffer = Buffer.alloc(0);
+          break;
+        }
+
+        const end = this.mllpBuffer.indexOf(Buffer.from([0x1C, 0x0D]), start + 1);
+        if (end === -1) {
+          // Incomplete message - drop leading garbage and wait for more bytes
+          this.mllpBuffer = this.mllpBuffer.slice(start);
+          break;
+        }
+
+        const message = this.mllpBuffer.slice(start + 1, end).toString('utf8');
+        this.mllpBuffer = this.mllpBuffer.slice(end + 2);
+
+        if (message.trim().length > 0) {
+          this.logger.info('Complete HL7 message received via MLLP', { length: message.length });
+          this.emit('data', message);
+        }
+      }
+    } catch (error) {
+      this.logger.error('Error handling MLLP data:', error);
+      this.mllpBuffer = Buffer.alloc(0);
+    }
+  }
+
   /**
    * Handle string-based data (legacy mode)
    */
@@ -136,13 +222,16 @@ class TcpReader extends EventEmitter {
       // Accumulate data into buffer
       this.buffer += data;
 
-      // Check if message is complete (common terminators or just newlines)
-      const hasTerminator = this.buffer.includes('\x03') || 
+      // The instrument driver decides completion when it has a rule; otherwise
+      // common terminators, newlines or more than 100 buffered bytes
+      const driverRule = this.driver ? this.driver.isMessageComplete(this.buffer) : null;
+      const hasTerminator = driverRule !== null ? driverRule : (this.buffer.includes('\x03') || 
           this.buffer.includes('\x04') || 
           this.buffer.includes('\x1C') || 
-          this.buffer.includes('\n');
+          this.buffer.includes('\n') ||
+          this.buffer.length > 100);
       
-      if (hasTerminator || this.buffer.length > 100) {
+      if (hasTerminator) {
         const message = this.buffer.trim();
         this.buffer = '';
 
@@ -155,6 +244,37 @@ class TcpReader extends EventEmitter {
     }
   }
 
+  /**
+   * Write raw bytes to the connected instrument
+   */
+  write(data) {
+    if (!this.socket || this.socket.destroyed) {
+      this.logger.warn('Cannot write - no instrument connected');
+      return false;
+    }
+    this.socket.write(data);
+    return true;
+  }
+
+  /**
+   * Send a message to the instrument - MLLP-wrapped for HL7,
+   * otherwise ASTM with ENQ/frames/EOT sequencing
+   */
+  async send(message) {
+    if (this.useMllp) {
+      if (!this.write(Buffer.from(`\x0B${message}\x1C\r`, 'utf8'))) {
+        throw new Error('No instrument connected');
+      }
+      this.logger.debug('HL7 message sent via MLLP', { port: this.config.port });
+      return;
+    }
+    if (!this.protocolHandler) {
+      throw new Error('Sending requires useProtocolHandler to be enabled for this connection');
+    }
+    await this.protocolHandler.send(message);
+    this.logger.info('ASTM message sent to instrument', { port: this.config.port });
+  }
+
   scheduleReconnect() {
     if (this.reconnectTimer) return;
     
@@ -175,12 +295,29 @@ class TcpReader extends EventEmitter {
       this.logger.info('Client socket disconnected');
     }
     if (this.server) {
-      this.server.close(() => {
-        this.logger.info('TCP server closed');
+      // Wait for the listening port to be released so it can be reopened right away
+      const server = this.server;
+      this.server = null;
+      await new Promise((resolve) => {
+        server.close(() => {
+          this.logger.info('TCP server closed');
+          resolve();
+        });
       });
     }
   }
 
+  /**
+   * Whether a message is in flight (ASTM session open or partial message buffered),
+   * so a graceful stop can wait for it
+   */
+  isBusy() {
+    if (this.protocolHandler && (this.protocolHandler.isReceiving() || this.protocolHandler.isSending())) {
+      return true;
+    }
+    return this.mllpBuffer.length > 0 || this.buffer.length > 0;
+  }
+
   isConnected() {
     return this.socket && !this.socket.destroyed;
   }
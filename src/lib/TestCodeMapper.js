@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+
+const UNMAPPED_POLICIES = ['forward', 'hold', 'reject'];
+
+/**
+ * Test Code Mapper - Translates instrument test codes to LIS test codes per instrument
+ *
+ * Configured on each instruments[] entry:
+ *   "testMapping": { "file": "./config/mappings/CLIENT_001.csv", "unmappedPolicy": "hold" }
+ *
+ * Mapping files are JSON or CSV with columns instrumentCode, lisCode, unit, decimals:
+ *   JSON: [{ "instrumentCode": "TSH", "lisCode": "TSH3", "unit": "mIU/L", "decimals": 2 }]
+ *         or { "TSH": { "lisCode": "TSH3", "unit": "mIU/L", "decimals": 2 } }
+ *   CSV:  instrumentCode,lisCode,unit,decimals
+ *         TSH,TSH3,mIU/L,2
+ *
+ * Unmapped codes are forwarded unchanged, held for review, or rejected per unmappedPolicy.
+ */
+class TestCodeMapper {
+  constructor(config, logger) {
+    this.logger = logger;
+    this.tables = new Map(); // instrumentId -> { policy, codes, reverse }
+    this.load(config.instruments || []);
+  }
+
+  load(instruments) {
+    this.tables.clear();
+
+    for (const instrument of instruments) {
+      const mapping = instrument.testMapping;
+      if (!mapping || !mapping.file) continue;
+
+      const policy = mapping.unmappedPolicy || 'forward';
+      if (!UNMAPPED_POLICIES.includes(policy)) {
+        this.logger.warn(`Unknown unmappedPolicy "${policy}" for ${instrument.id} - using "forward"`);
+      }
+
+      try {
+        const entries = this.loadTable(mapping.file);
+        const codes = new Map();
+        const reverse = new Map();
+        for (const entry of entries) {
+          codes.set(entry.instrumentCode.toUpperCase(), entry);
+          reverse.set(entry.lisCode.toUpperCase(), entry.instrumentCode);
+        }
+
+        this.tables.set(instrument.id, {
+          policy: UNMAPPED_POLICIES.includes(policy) ? policy : 'forward',
+          codes,
+          reverse
+        });
+        this.logger.info(`Loaded ${codes.size} test code mappings for ${instrument.id}`, { file: mapping.file });
+      } catch (error) {
+        this.logger.error(`Failed to load test code mapping for ${instrument.id}:`, error.message);
+      }
+    }
+  }
+
+  loadTable(file) {
+    const content = fs.readFileSync(path.resolve(file), 'utf8');
+    const rows = path.extname(file).toLowerCase() === '.csv'
+      ? this.parseCsv(content)
+      : this.parseJson(content);
+
+    return rows
+      .map(row => ({
+        instrumentCode: String(row.instrumentCode || '').trim(),
+        lisCode: String(row.lisCode || '').trim(),
+        unit: row.unit ? String(row.unit).trim() : '',
+        decimals: row.decimals === undefined || row.decimals === '' ? null : parseInt(row.decimals, 10)
+      }))
+      .filter(row => row.instrumentCode && row.lisCode);
+  }
+
+  parseJson(content) {
+    const data = JSON.parse(content);
+    if (Array.isArray(data)) return data;
+    return Object.entries(data).map(([instrumentCode, entry]) => (
+      typeof entry === 'string' ? { instrumentCode, lisCode: entry } : { instrumentCode, ...entry }
+    ));
+  }
+
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+    if (lines.length === 0) return [];
+
+    const header = lines[0].split(',').map(h => h.trim());
+    return lines.slice(1).map(line => {
+      const values = line.split(',');
+      return Object.fromEntries(header.map((h, i) => [h, (values[i] || '').trim()]));
+    });
+  }
+
+  hasTable(instrumentId) {
+    return this.tables.has(instrumentId);
+  }
+
+  /**
+   * Translate result codes, units and precision in backend patient payloads
+   * @returns {{ patients: Array, held: Array, rejected: Array, policy: string }}
+   *   held/rejected hold the unmapped results in the same patient payload shape
+   */
+  mapPatients(patients, instrumentId) {
+    const table = this.tables.get(instrumentId);
+    if (!table) {
+      return { patients, held: [], rejected: [], policy: 'forward' };
+    }
+
+    const kept = [];
+    const unmapped = [];
+
+    for (const patient of patients) {
+      const keptOrders = [];
+      const unmappedOrders = [];
+
+      for (const order of patient.Orders || []) {
+        const mappedResults = [];
+        const unmappedResults = [];
+
+        for (const result of order.Results || []) {
+          const entry = table.codes.get(String(result.UniversalTestID || '').toUpperCase());
+          if (entry) {
+            mappedResults.push(this.applyEntry(result, entry));
+          } else {
+            unmappedResults.push(result);
+          }
+        }
+
+        const forwarded = table.policy === 'forward' ? [...mappedResults, ...unmappedResults] : mappedResults;
+        if (forwarded.length > 0) {
+          keptOrders.push({ ...order, UniversalTestID: this.mapCode(table, order.UniversalTestID), Results: forwarded });
+        }
+        if (unmappedResults.length > 0) {
+          unmappedOrders.push({ ...order, Results: unmappedResults });
+        }
+      }
+
+      if (keptOrders.length > 0) kept.push({ ...patient, Orders: keptOrders });
+      if (unmappedOrders.length > 0) unmapped.push({ ...patient, Orders: unmappedOrders });
+    }
+
+    if (unmapped.length > 0) {
+      const codes = [...new Set(unmapped.flatMap(p => p.Orders.flatMap(o => o.Results.map(r => r.UniversalTestID))))];
+      this.logger.warn(`Unmapped test codes from ${instrumentId}: ${codes.join(', ')}`, { policy: table.policy });
+    }
+
+    return {
+      patients: kept,
+      held: table.policy === 'hold' ? unmapped : [],
+      rejected: table.policy === 'reject' ? unmapped : [],
+      policy: table.policy
+    };
+  }
+
+  applyEntry(result, entry) {
+    return {
+      ...result,
+      UniversalTestID: entry.lisCode,
+      Unit: entry.unit || result.Unit,
+      ResultValue: this.formatValue(result.ResultValue, entry.decimals)
+    };
+  }
+
+  mapCode(table, code) {
+    const entry = code ? table.codes.get(String(code).toUpperCase()) : null;
+    return entry ? entry.lisCode : code;
+  }
+
+  /**
+   * Round plain numeric values to the configured precision ("<0.01", text results untouched)
+   */
+  formatValue(value, decimals) {
+    if (decimals === null || Number.isNaN(decimals)) return value;
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(String(value).trim())) return value;
+    return Number(value).toFixed(decimals);
+  }
+
+  /**
+   * LIS test code -> instrument test code (for order downloads)
+   */
+  toInstrumentCode(instrumentId, lisCode) {
+    const table = this.tables.get(instrumentId);
+    if (!table || !lisCode) return lisCode;
+    return table.reverse.get(String(lisCode).toUpperCase()) || lisCode;
+  }
+}
+
+module.exports = TestCodeMapper;
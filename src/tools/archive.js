@@ -0,0 +1,129 @@
+const os = require('os');
+const RawArchive = require('../lib/RawArchive');
+const ConfigLoader = require('../lib/ConfigLoader');
+const DataCipher = require('../lib/DataCipher');
+
+// Raw message archive search and replay
+// Usage: node src/tools/archive.js <command> [filters]
+//   search [filters]              List archived messages
+//   show <id>                     Print one message with control characters made visible
+//   replay <id...> | [filters]    Send messages through the running agent's pipeline again
+// Filters: --specimen <id> --instrument <id> --connection <id> --from YYYY-MM-DD --to YYYY-MM-DD (UTC)
+
+const { config } = new ConfigLoader().load();
+
+const logger = {
+  info: () => {},
+  warn: () => {},
+  debug: () => {},
+  error: (msg, detail) => console.error(msg, detail || '')
+};
+
+let cipher;
+try {
+  cipher = new DataCipher(config, logger);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const archive = new RawArchive(config, logger, { cipher });
+
+const FILTER_OPTIONS = {
+  '--specimen': 'specimenId',
+  '--instrument': 'instrumentId',
+  '--connection': 'connectionId',
+  '--from': 'from',
+  '--to': 'to'
+};
+
+function usage() {
+  console.log('Usage: node src/tools/archive.js search [filters] | show <id> | replay <id...>|[filters]');
+  console.log('Filters: --specimen <id> --instrument <id> --connection <id> --from YYYY-MM-DD --to YYYY-MM-DD');
+  process.exit(1);
+}
+
+function parseArgs(args) {
+  const filter = {};
+  const ids = [];
+  for (let i = 0; i < args.length; i++) {
+    const key = FILTER_OPTIONS[args[i]];
+    if (key) {
+      if (args[i + 1] === undefined) usage();
+      filter[key] = args[++i];
+    } else if (args[i].startsWith('--')) {
+      usage();
+    } else {
+      ids.push(args[i]);
+    }
+  }
+  return { filter, ids };
+}
+
+function visible(raw) {
+  return raw
+    .replace(/\x02/g, '<STX>')
+    .replace(/\x03/g, '<ETX>')
+    .replace(/\x04/g, '<EOT>')
+    .replace(/\x05/g, '<ENQ>')
+    .replace(/\x0B/g, '<VT>')
+    .replace(/\x17/g, '<ETB>')
+    .replace(/\x1C/g, '<FS>')
+    .replace(/\n/g, '<LF>\n')
+    .replace(/\r/g, '<CR>\n');
+}
+
+function search(filter) {
+  const entries = archive.search(filter);
+  for (const entry of entries) {
+    const specimens = entry.specimenIds.join(',') || '-';
+    const replay = entry.replayOf ? `  replay of ${entry.replayOf}` : '';
+    console.log(`${entry.id}  ${entry.receivedAt}  ${entry.instrumentId || '-'}  ${entry.connectionId || '-'}  specimens=${specimens}  ${entry.raw.length} chars${replay}`);
+  }
+  console.log(`${entries.length} message(s)`);
+}
+
+function show(id) {
+  const entry = archive.get(id);
+  if (!entry) {
+    console.error(`Archived message not found: ${id}`);
+    process.exit(1);
+  }
+
+  const { raw, ...meta } = entry;
+  console.log(JSON.stringify(meta, null, 2));
+  console.log(visible(raw));
+}
+
+function replay(ids, filter) {
+  if (ids.length === 0 && Object.keys(filter).length === 0) usage();
+
+  const targets = ids.length > 0 ? ids : archive.search(filter).map(entry => entry.id);
+  let count = 0;
+  for (const id of targets) {
+    if (archive.requestReplay(id, os.userInfo().username)) {
+      count++;
+    } else {
+      console.error(`Archived message not found: ${id}`);
+    }
+  }
+  console.log(`Queued ${count} message(s) for replay; the running agent picks them up from ${archive.replayDir}`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const { filter, ids } = parseArgs(args);
+
+switch (command) {
+  case 'search':
+    search(filter);
+    break;
+  case 'show':
+    if (!ids[0]) usage();
+    show(ids[0]);
+    break;
+  case 'replay':
+    replay(ids, filter);
+    break;
+  default:
+    usage();
+}
@@ -0,0 +1,100 @@
+const AuditLog = require('../lib/AuditLog');
+const ConfigLoader = require('../lib/ConfigLoader');
+
+// Result audit trail queries
+// Usage: node src/tools/audit.js <command>
+//   specimen <id> [options]       Every event for a specimen, oldest first
+//   message <messageId> [options] Every event for a result message (id or its first characters)
+//   verify                        Check the hash chain of the whole audit log
+// Options: --from YYYY-MM-DD --to YYYY-MM-DD (UTC) --json
+
+const { config } = new ConfigLoader().load();
+
+const logger = {
+  info: () => {},
+  warn: () => {},
+  debug: () => {},
+  error: (msg, detail) => console.error(msg, detail || '')
+};
+
+const auditLog = new AuditLog(config, logger);
+
+function usage() {
+  console.log('Usage: node src/tools/audit.js specimen <id> | message <messageId> | verify');
+  console.log('Options: --from YYYY-MM-DD --to YYYY-MM-DD --json');
+  process.exit(1);
+}
+
+function parseArgs(args) {
+  const options = { json: false };
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--json') {
+      options.json = true;
+    } else if (args[i] === '--from' || args[i] === '--to') {
+      if (!args[i + 1]) usage();
+      options[args[i].substring(2)] = args[++i];
+    } else {
+      values.push(args[i]);
+    }
+  }
+  return { options, values };
+}
+
+function formatDetails(details) {
+  return Object.entries(details || {})
+    .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`)
+    .join(' ');
+}
+
+function timeline(filter, json) {
+  const events = auditLog.query(filter);
+  if (json) {
+    console.log(JSON.stringify(events, null, 2));
+    return;
+  }
+  if (events.length === 0) {
+    console.log('No audit events found');
+    return;
+  }
+
+  for (const event of events) {
+    const message = event.messageId ? event.messageId.substring(0, 12) : '-';
+    const specimens = event.specimenIds.join(',') || '-';
+    console.log(`${event.at}  #${event.seq}  ${event.event.padEnd(20)}  ${event.actor.padEnd(12)}  ${event.instrumentId || '-'}  msg=${message}  specimens=${specimens}  ${formatDetails(event.details)}`);
+  }
+  console.log(`${events.length} event(s); run "verify" to check the hash chain`);
+}
+
+function verify() {
+  const result = auditLog.verify();
+  if (result.ok) {
+    console.log(`Audit log intact: ${result.records} record(s), head #${result.head.seq} ${result.head.hash}`);
+    return;
+  }
+  const { day, line, seq, reason } = result.error;
+  console.error(`Audit log broken in ${auditLog.fileFor(day)} line ${line}${seq ? ` (record #${seq})` : ''}: ${reason}`);
+  console.error(`${result.records} record(s) before it verified`);
+  process.exit(2);
+}
+
+const [command, ...args] = process.argv.slice(2);
+const { options, values } = parseArgs(args);
+const range = { from: options.from, to: options.to };
+
+switch (command) {
+  case 'specimen':
+    if (!values[0]) usage();
+    timeline({ specimenId: values[0], ...range }, options.json);
+    break;
+  case 'message':
+    if (!values[0]) usage();
+    timeline({ messageId: values[0], ...range }, options.json);
+    break;
+  case 'verify':
+    verify();
+    break;
+  default:
+    usage();
+}
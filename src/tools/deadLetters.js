@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const DeadLetterStore = require('../lib/DeadLetterStore');
+const QueueManager = require('../lib/QueueManager');
+const ConfigLoader = require('../lib/ConfigLoader');
+const DataCipher = require('../lib/DataCipher');
+
+// Dead letter maintenance for results the agent could not deliver
+// Usage: node src/tools/deadLetters.js <command>
+//   list                          List dead letters
+//   show <id>                     Print one dead letter (raw message, payload, errors, history)
+//   requeue <id...> | --all       Hand dead letters back to the running agent's queue
+//   export <file> [id...]         Write dead letters (all, or the given ids) to a JSON file
+//   remove <id...>                Delete dead letters
+
+const { config } = new ConfigLoader().load();
+
+// Store log messages belong in the agent log; this tool prints its own output
+const logger = {
+  info: () => {},
+  warn: () => {},
+  debug: () => {},
+  error: () => {}
+};
+
+let cipher;
+try {
+  cipher = new DataCipher(config, logger);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const store = new DeadLetterStore(config, logger, { cipher });
+
+function usage() {
+  console.log('Usage: node src/tools/deadLetters.js list | show <id> | requeue <id...>|--all | export <file> [id...] | remove <id...>');
+  process.exit(1);
+}
+
+function list() {
+  const entries = store.list();
+  if (entries.length === 0) {
+    console.log('No dead letters');
+    return;
+  }
+
+  for (const entry of entries) {
+    const specimens = store.specimenIds(entry).join(',') || '-';
+    const error = (entry.lastError || '').slice(0, 80);
+    console.log(`${entry.id}  ${entry.createdAt}  ${entry.reason.padEnd(11)}  ${entry.instrumentId || '-'}  specimens=${specimens}  attempts=${entry.attempts}  ${error}`);
+  }
+  console.log(`${entries.length} dead letter(s) in ${store.dir}`);
+}
+
+function show(id) {
+  const entry = store.get(id);
+  if (!entry) {
+    console.error(`Dead letter not found: ${id}`);
+    process.exit(1);
+  }
+  console.log(JSON.stringify(entry, null, 2));
+}
+
+function requeue(ids) {
+  const targets = ids[0] === '--all' ? store.list().map(e => e.id) : ids;
+  const inboxDir = QueueManager.inboxDir(config);
+  let count = 0;
+
+  for (const id of targets) {
+    if (store.requeue(id, inboxDir, os.userInfo().username)) {
+      count++;
+    } else {
+      console.error(`Dead letter not found: ${id}`);
+    }
+  }
+  console.log(`Requeued ${count} dead letter(s); the agent picks them up from ${inboxDir}`);
+}
+
+function exportTo(file, ids) {
+  const entries = ids.length > 0 ? ids.map(id => store.get(id)).filter(Boolean) : store.list();
+  fs.writeFileSync(file, JSON.stringify(entries, null, 2));
+  console.log(`Exported ${entries.length} dead letter(s) to ${file}`);
+}
+
+function remove(ids) {
+  const count = ids.filter(id => store.remove(id)).length;
+  console.log(`Removed ${count} dead letter(s)`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+  case 'list':
+    list();
+    break;
+  case 'show':
+    if (!args[0]) usage();
+    show(args[0]);
+    break;
+  case 'requeue':
+    if (args.length === 0) usage();
+    requeue(args);
+    break;
+  case 'export':
+    if (!args[0]) usage();
+    exportTo(args[0], args.slice(1));
+    break;
+  case 'remove':
+    if (args.length === 0) usage();
+    remove(args);
+    break;
+  default:
+    usage();
+}
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const DataCipher = require('../lib/DataCipher');
+const DeadLetterStore = require('../lib/DeadLetterStore');
+const ReviewStore = require('../lib/ReviewStore');
+const RawArchive = require('../lib/RawArchive');
+const ConfigLoader = require('../lib/ConfigLoader');
+
+// Encryption at rest maintenance
+// Usage: node src/tools/encryption.js <command>
+//   generate-key                  Print a new random key (base64) for encryption.key / the key file
+//   decrypt <file>                Print a JSON or JSONL data file with encrypted values decrypted
+//   rekey                         Rewrite dead letters, review entries and past archive days with the
+//                                 active key (the queue journal is rewritten by the agent on start)
+
+const logger = {
+  info: () => {},
+  warn: () => {},
+  debug: () => {},
+  error: (msg, detail) => console.error(msg, detail || '')
+};
+
+function usage() {
+  console.log('Usage: node src/tools/encryption.js generate-key | decrypt <file> | rekey');
+  process.exit(1);
+}
+
+function loadCipher() {
+  const { config } = new ConfigLoader().load();
+  try {
+    return { config, cipher: new DataCipher(config, logger) };
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+function decrypt(file) {
+  const { cipher } = loadCipher();
+  const content = fs.readFileSync(file, 'utf8');
+
+  try {
+    if (file.endsWith('.jsonl')) {
+      for (const line of content.split('\n').filter(l => l.trim())) {
+        console.log(JSON.stringify(cipher.decryptDeep(JSON.parse(line))));
+      }
+    } else {
+      console.log(JSON.stringify(cipher.decryptDeep(JSON.parse(content)), null, 2));
+    }
+  } catch (error) {
+    console.error(`Cannot decrypt ${file}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function rekey() {
+  const { config, cipher } = loadCipher();
+  if (!cipher.enabled) {
+    console.error('Encryption is not enabled (encryption.enabled)');
+    process.exit(1);
+  }
+
+  const deadLetters = new DeadLetterStore(config, logger, { cipher });
+  const review = new ReviewStore(config, logger, { cipher });
+  const archive = new RawArchive(config, logger, { cipher });
+  let failed = 0;
+
+  const run = (label, fn) => {
+    try {
+      return fn();
+    } catch (error) {
+      console.error(`${label}: ${error.message}`);
+      failed++;
+      return 0;
+    }
+  };
+
+  const deadLetterCount = deadLetters.ids()
+    .filter(id => run(`Dead letter ${id}`, () => deadLetters.reseal(id))).length;
+  const reviewCount = review.ids()
+    .filter(id => run(`Review entry ${id}`, () => review.reseal(id))).length;
+  const archiveCount = archive.days()
+    .reduce((total, day) => total + run(`Archive ${day}`, () => archive.resealDay(day)), 0);
+
+  console.log(`Rewritten with key ${cipher.activeKeyId}: ${deadLetterCount} dead letter(s), ${reviewCount} review entr(ies), ${archiveCount} archived message(s)`);
+  console.log('Today\'s archive file is left as it is (keep the old key in previousKeys); the agent rewrites the queue journal on its next start');
+  if (failed > 0) {
+    console.error(`${failed} item(s) could not be rewritten`);
+    process.exit(1);
+  }
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+  case 'generate-key':
+    console.log(DataCipher.generateKey());
+    break;
+  case 'decrypt':
+    if (!args[0]) usage();
+    decrypt(args[0]);
+    break;
+  case 'rekey':
+    rekey();
+    break;
+  default:
+    usage();
+}
@@ -0,0 +1,34 @@
+const ConfigValidator = require('../lib/ConfigValidator');
+const ConfigLoader = require('../lib/ConfigLoader');
+
+// Print the effective configuration the agent would run with (default.json, local.json
+// and LIS_* variables merged, defaults applied), with API keys, tokens and passwords masked
+// Usage: node src/tools/printConfig.js [--sources]
+//   --sources   Also list which settings were overridden, and by which file or variable
+
+const showSources = process.argv.includes('--sources');
+
+let result;
+try {
+  result = new ConfigLoader().load();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+console.log(JSON.stringify(ConfigLoader.mask(result.config), null, 2));
+
+if (showSources) {
+  console.error(result.overrides.length > 0 ? 'Overrides:' : 'No overrides - config/default.json only');
+  for (const override of result.overrides) {
+    console.error(`  ${override.path} <- ${override.source}`);
+  }
+}
+
+const report = ConfigValidator.format(result, 'configuration');
+if (report) {
+  console.error(report);
+}
+if (result.errors.length > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,135 @@
+const os = require('os');
+const ReviewStore = require('../lib/ReviewStore');
+const QueueManager = require('../lib/QueueManager');
+const TestCodeMapper = require('../lib/TestCodeMapper');
+const ConfigLoader = require('../lib/ConfigLoader');
+const DataCipher = require('../lib/DataCipher');
+
+// Review maintenance for results held back from delivery
+// Usage: node src/tools/review.js <command>
+//   list                               List held results
+//   show <id>                          Print one entry (payload, reason, backend error)
+//   release <id...> | --all [--force]  Hand entries to the running agent's queue; results held
+//                                      for unmapped test codes are mapped again with the current
+//                                      tables and stay held while codes are still unmapped,
+//                                      unless --force sends them as they are
+//   remove <id...>                     Delete entries
+
+const { config } = new ConfigLoader().load();
+
+// Store log messages belong in the agent log; this tool prints its own output
+const logger = {
+  info: () => {},
+  warn: () => {},
+  debug: () => {},
+  error: () => {}
+};
+
+let cipher;
+try {
+  cipher = new DataCipher(config, logger);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const store = new ReviewStore(config, logger, { cipher });
+
+function usage() {
+  console.log('Usage: node src/tools/review.js list | show <id> | release <id...>|--all [--force] | remove <id...>');
+  process.exit(1);
+}
+
+function testCodes(patients) {
+  return [...new Set(patients.flatMap(p => (p.Orders || []).flatMap(o => (o.Results || []).map(r => r.UniversalTestID))))];
+}
+
+function list() {
+  const entries = store.list();
+  if (entries.length === 0) {
+    console.log('No results held for review');
+    return;
+  }
+
+  for (const entry of entries) {
+    const specimens = store.specimenIds(entry).join(',') || '-';
+    const detail = entry.reason === 'unmapped_test_codes'
+      ? `codes=${testCodes(entry.payload).join(',')}`
+      : String(entry.details?.error || '').slice(0, 80);
+    console.log(`${entry.id}  ${entry.createdAt}  ${entry.reason.padEnd(19)}  ${entry.instrumentId || '-'}  specimens=${specimens}  ${detail}`);
+  }
+  console.log(`${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} in ${store.dir}`);
+}
+
+function show(id) {
+  const entry = store.get(id);
+  if (!entry) {
+    console.error(`Review entry not found: ${id}`);
+    process.exit(1);
+  }
+  console.log(JSON.stringify(entry, null, 2));
+}
+
+/**
+ * Payload to release for an entry, or null while its test codes are still unmapped
+ */
+function releasePayload(entry, mapper, force) {
+  if (entry.reason !== 'unmapped_test_codes') return entry.payload;
+
+  const mapped = mapper.mapPatients(entry.payload, entry.instrumentId);
+  const unmapped = [...mapped.held, ...mapped.rejected];
+  if (unmapped.length === 0) return mapped.patients;
+  if (force) return [...mapped.patients, ...unmapped];
+
+  console.error(`${entry.id}: still unmapped: ${testCodes(unmapped).join(', ')} - add them to the mapping table or use --force`);
+  return null;
+}
+
+function release(args) {
+  const force = args.includes('--force');
+  const ids = args.filter(arg => arg !== '--force');
+  const targets = ids[0] === '--all' ? store.ids() : ids;
+  const mapper = new TestCodeMapper(config, logger);
+  const inboxDir = QueueManager.inboxDir(config);
+  let count = 0;
+
+  for (const id of targets) {
+    const entry = store.get(id);
+    if (!entry) {
+      console.error(`Review entry not found: ${id}`);
+      continue;
+    }
+    const payload = releasePayload(entry, mapper, force);
+    if (payload && store.release(id, inboxDir, { payload, requestedBy: os.userInfo().username })) {
+      count++;
+    }
+  }
+  console.log(`Released ${count} entr${count === 1 ? 'y' : 'ies'}; the agent picks them up from ${inboxDir}`);
+}
+
+function remove(ids) {
+  const count = ids.filter(id => store.remove(id)).length;
+  console.log(`Removed ${count} entr${count === 1 ? 'y' : 'ies'}`);
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+  case 'list':
+    list();
+    break;
+  case 'show':
+    if (!args[0]) usage();
+    show(args[0]);
+    break;
+  case 'release':
+    if (args.filter(arg => arg !== '--force').length === 0) usage();
+    release(args);
+    break;
+  case 'remove':
+    if (args.length === 0) usage();
+    remove(args);
+    break;
+  default:
+    usage();
+}
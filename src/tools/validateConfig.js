@@ -0,0 +1,42 @@
+const fs = require('fs');
+const ConfigValidator = require('../lib/ConfigValidator');
+const ConfigLoader = require('../lib/ConfigLoader');
+
+// Check the configuration before (re)starting the agent
+// Usage: node src/tools/validateConfig.js [file]
+//   (no file)  The effective configuration: default.json, local.json and LIS_* variables
+//   file       A single configuration file on its own
+// Exits with status 1 when there are errors. See printConfig.js for the merged result.
+
+const file = process.argv[2];
+
+function loadFile() {
+  try {
+    return new ConfigValidator().validate(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    console.error(`Cannot read ${file}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function loadLayers() {
+  try {
+    return new ConfigLoader().load();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+const source = file || 'configuration';
+const result = file ? loadFile() : loadLayers();
+const report = ConfigValidator.format(result, source);
+if (report) {
+  console.log(report);
+}
+
+if (result.errors.length > 0) {
+  process.exit(1);
+}
+
+console.log(`${source} is valid`);
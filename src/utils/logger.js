@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const winston = require('winston');
+const LogRedactor = require('../lib/LogRedactor');
 
 function ensureDirectoryFor(filePath) {
 	try {
@@ -20,7 +21,8 @@ function createLogger(options = {}) {
 		logFile = path.join(process.cwd(), 'logs', 'autodetect.log'),
 		maxSize = '10m',
 		maxFiles = 5,
-		serviceName = 'LIS-Autodetect'
+		serviceName = 'LIS-Autodetect',
+		redaction = {} // logging.redaction settings, see LogRedactor
 	} = options;
 
 	ensureDirectoryFor(logFile);
@@ -31,6 +33,7 @@ function createLogger(options = {}) {
 			winston.format.timestamp(),
 			winston.format.errors({ stack: true }),
 			winston.format.splat(),
+			new LogRedactor(redaction).format(),
 			winston.format.json()
 		),
 		defaultMeta: { service: serviceName },
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AstmProtocolHandler = require('../src/lib/AstmProtocolHandler');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const ENQ = 0x05;
+const ACK = 0x06;
+const NAK = 0x15;
+const EOT = 0x04;
+const CONTROL = { [ENQ]: 'ENQ', [ACK]: 'ACK', [NAK]: 'NAK', [EOT]: 'EOT' };
+
+/**
+ * Handler whose writes are recorded as ENQ / EOT / frame:<frame number>
+ */
+function createSender(options = {}) {
+  const written = [];
+  const handler = new AstmProtocolHandler(logger, {
+    write: data => written.push(data.length === 1 ? CONTROL[data[0]] : `frame:${String.fromCharCode(data[1])}`),
+    busyRetryDelay: 10,
+    contentionDelay: 10,
+    interruptDelay: 10,
+    ...options
+  });
+  const reply = byte => handler.processByte(Buffer.from([byte]));
+  return { handler, written, reply };
+}
+
+const message = 'H|\\^&\rP|1\rL|1|N\r';
+
+test('send bids with ENQ, sends a frame per ACK and ends with EOT', async () => {
+  const { handler, written, reply } = createSender();
+  const sent = handler.send(message);
+  assert.deepStrictEqual(written, ['ENQ']);
+  assert.strictEqual(handler.isSending(), true);
+
+  reply(ACK);
+  reply(ACK);
+  reply(ACK);
+  assert.deepStrictEqual(written, ['ENQ', 'frame:1', 'frame:2', 'frame:3']);
+  reply(ACK);
+  await sent;
+  assert.deepStrictEqual(written.slice(4), ['EOT']);
+  assert.strictEqual(handler.isSending(), false);
+});
+
+test('a busy receiver (NAK on ENQ) is retried, then the send fails', async () => {
+  const { handler, written, reply } = createSender({ maxRetries: 2 });
+  const sent = handler.send(message);
+
+  reply(NAK);
+  assert.strictEqual(handler.isSending(), false);
+  await sleep(30);
+  assert.deepStrictEqual(written, ['ENQ', 'ENQ']);
+
+  reply(NAK);
+  await assert.rejects(sent, /Could not establish ASTM link after 2 attempts/);
+});
+
+test('on line contention the instrument sends first, then the message is retried', async () => {
+  const { handler, written, reply } = createSender();
+  const sent = handler.send(message);
+
+  // Instrument bid at the same time - we answer its ENQ and take the receiver role
+  assert.deepStrictEqual(reply(ENQ), Buffer.from([ACK]));
+  assert.strictEqual(handler.isSending(), false);
+  assert.strictEqual(handler.isReceiving(), true);
+  assert.deepStrictEqual(reply(EOT), Buffer.from([ACK]));
+
+  await sleep(30);
+  assert.deepStrictEqual(written, ['ENQ', 'ENQ']);
+  for (let i = 0; i < 4; i++) reply(ACK);
+  await sent;
+  assert.deepStrictEqual(written.slice(2), ['frame:1', 'frame:2', 'frame:3', 'EOT']);
+});
+
+test('a NAKed frame is retransmitted, and the send aborts after maxRetries', async () => {
+  const { handler, written, reply } = createSender({ maxRetries: 3 });
+  const sent = handler.send(message);
+  reply(ACK);
+  reply(ACK);
+
+  reply(NAK);
+  assert.deepStrictEqual(written, ['ENQ', 'frame:1', 'frame:2', 'frame:2']);
+  reply(NAK);
+  reply(NAK);
+  await assert.rejects(sent, /rejected frame too many times/);
+  assert.deepStrictEqual(written.slice(4), ['frame:2', 'EOT']);
+});
+
+test('a receiver interrupt ends the session and the whole message is sent again', async () => {
+  const { handler, written, reply } = createSender();
+  const sent = handler.send(message);
+  reply(ACK);
+  reply(EOT); // In place of the ACK for frame 1
+  assert.deepStrictEqual(written, ['ENQ', 'frame:1', 'EOT']);
+
+  await sleep(30);
+  reply(ACK);
+  assert.deepStrictEqual(written.slice(3), ['ENQ', 'frame:1']);
+  reply(ACK);
+  reply(ACK);
+  reply(EOT); // Interrupt after the last frame - the message is complete
+  await sent;
+  assert.deepStrictEqual(written.slice(5), ['frame:2', 'frame:3', 'EOT']);
+});
+
+test('no reply within senderTimeout aborts the send', async () => {
+  const { handler, written } = createSender({ senderTimeout: 10 });
+  await assert.rejects(handler.send(message), /Timed out waiting for ACK/);
+  assert.deepStrictEqual(written, ['ENQ', 'EOT']);
+});
+
+test('buildFrames splits long records into ETB frames and wraps frame numbers after 7', () => {
+  const handler = new AstmProtocolHandler(logger, { maxFrameText: 10 });
+  const frames = handler.buildFrames('R|1|ABCDEFGHIJKLMNOP\rC|1\rC|2\rC|3\rC|4\rC|5\rL|1\r')
+    .map(frame => frame.toString('binary'));
+
+  // Checksum: modulo-256 sum of frame number, text and ETX/ETB (CLSI LIS1-A)
+  const frame = (body) => {
+    const sum = [...Buffer.from(body, 'binary')].reduce((total, byte) => (total + byte) % 256, 0);
+    return `\x02${body}${sum.toString(16).toUpperCase().padStart(2, '0')}\r\n`;
+  };
+  assert.deepStrictEqual(frames.slice(0, 4), [
+    frame('1R|1|ABCDEF\x17'),
+    frame('2GHIJKLMNOP\x17'),
+    frame('3\r\x03'),
+    frame('4C|1\r\x03')
+  ]);
+  assert.deepStrictEqual(frames.map(text => text[1]), ['1', '2', '3', '4', '5', '6', '7', '0', '1']);
+  assert.strictEqual(frames[8], frame('1L|1\r\x03'));
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLog = require('../src/lib/AuditLog');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-audit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('the chain continues from the last record when the newest day file is empty', (t) => {
+  const dir = tempDir(t);
+  const auditLog = new AuditLog({ audit: { dir } }, logger);
+  auditLog.record('received', { messageId: 'm1' });
+  auditLog.record('sent', { messageId: 'm1' });
+  const head = auditLog.head();
+  auditLog.close();
+
+  // Files named for later days: one empty, one holding only a torn record
+  fs.writeFileSync(path.join(dir, '2999-01-01.jsonl'), '');
+  fs.writeFileSync(path.join(dir, '2999-01-02.jsonl'), '{"seq":3,"at"');
+
+  const reopened = new AuditLog({ audit: { dir } }, logger);
+  assert.deepStrictEqual(reopened.head(), head);
+  reopened.record('received', { messageId: 'm2' });
+  reopened.close();
+
+  const result = reopened.verify();
+  assert.strictEqual(result.ok, true, JSON.stringify(result.error));
+  assert.strictEqual(result.records, 3);
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigLoader = require('../src/lib/ConfigLoader');
+
+const defaults = {
+  server: { url: 'http://localhost:3000', timeout: 30000 },
+  instruments: [{ id: 'CLIENT_001', location: 'Lab A' }],
+  connections: [{ id: 'conn1', type: 'tcp', instrumentId: 'CLIENT_001', tcp: { port: 5000 } }],
+  security: { apiKey: null },
+  autodetect: { serialBaudRates: [9600, 19200] }
+};
+
+/**
+ * Loader over a temporary config directory holding default.json and optional local.json / .env
+ */
+function createLoader(t, { local, envFile, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'default.json'), JSON.stringify(defaults));
+  if (local) fs.writeFileSync(path.join(dir, 'local.json'), JSON.stringify(local));
+  if (envFile) fs.writeFileSync(path.join(dir, '.env'), envFile);
+  return new ConfigLoader({ configDir: dir, envFile: path.join(dir, '.env'), env });
+}
+
+test('local.json merges objects by key and keyed lists by id', (t) => {
+  const loader = createLoader(t, {
+    local: {
+      server: { url: 'https://lis.example.org' },
+      instruments: [{ id: 'CLIENT_001', location: 'Lab B' }, { id: 'CLIENT_002' }],
+      connections: [{ id: 'conn2', type: 'tcp', instrumentId: 'CLIENT_002', tcp: { port: 5001 } }],
+      autodetect: { serialBaudRates: [115200] }
+    }
+  });
+
+  const { config, errors, overrides } = loader.load();
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(config.server.url, 'https://lis.example.org');
+  assert.strictEqual(config.server.timeout, 30000);
+  assert.deepStrictEqual(config.instruments.map(i => [i.id, i.location]), [['CLIENT_001', 'Lab B'], ['CLIENT_002', undefined]]);
+  assert.deepStrictEqual(config.connections.map(c => c.id), ['conn1', 'conn2']);
+  assert.deepStrictEqual(config.autodetect.serialBaudRates, [115200]);
+  assert.deepStrictEqual(overrides.map(o => o.path), [
+    'server.url',
+    'instruments[0].location',
+    'instruments[1]',
+    'connections[1]',
+    'autodetect.serialBaudRates'
+  ]);
+  assert.ok(overrides.every(o => o.source === 'local.json'));
+});
+
+test('LIS_* variables override files and real variables win over .env', (t) => {
+  const loader = createLoader(t, {
+    envFile: 'LIS_SERVER_URL=https://from-dotenv\nLIS_SERVER_TIMEOUT=1000\nLIS_SECURITY_APIKEY=dotenv-key\n',
+    env: {
+      LIS_SERVER_TIMEOUT: '5000',
+      LIS_SECURITY_APIKEY: '12345',
+      LIS_CONNECTIONS_CONN1_TCP_PORT: '6000',
+      LIS_INSTRUMENTS_CLIENT_001_LOCATION: 'Lab C',
+      LIS_AUTODETECT_SERIALBAUDRATES: '[4800]',
+      LIS_QUEUE_ENABLED: 'false',
+      LIS_RETRY_MAXRETRIES: '',
+      LIS_NOT_A_SETTING: '1',
+      PATH: '/usr/bin'
+    }
+  });
+
+  const { config, errors, warnings, overrides } = loader.load();
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(config.server.url, 'https://from-dotenv');
+  assert.strictEqual(config.server.timeout, 5000);
+  assert.strictEqual(config.security.apiKey, '12345', 'string settings are not JSON-parsed');
+  assert.strictEqual(config.connections[0].tcp.port, 6000);
+  assert.strictEqual(config.instruments[0].location, 'Lab C');
+  assert.deepStrictEqual(config.autodetect.serialBaudRates, [4800]);
+  assert.strictEqual(config.queue.enabled, false);
+  assert.strictEqual(config.retry.maxRetries, 5, 'empty variables are ignored');
+  assert.deepStrictEqual(warnings, ['LIS_NOT_A_SETTING: does not match any setting (ignored)']);
+  assert.deepStrictEqual(overrides.find(o => o.source === 'LIS_CONNECTIONS_CONN1_TCP_PORT'), {
+    path: 'connections[0].tcp.port',
+    source: 'LIS_CONNECTIONS_CONN1_TCP_PORT'
+  });
+});
+
+test('LIS_CONFIG_LOCAL names the local file and must exist', (t) => {
+  const loader = createLoader(t);
+  const site = path.join(loader.configDir, 'site.json');
+  fs.writeFileSync(site, JSON.stringify({ server: { timeout: 1000 } }));
+
+  loader.env = { LIS_CONFIG_LOCAL: site };
+  assert.strictEqual(loader.load().config.server.timeout, 1000);
+  assert.deepStrictEqual(loader.files(), [loader.defaultFile, site, loader.envFile]);
+
+  loader.env = { LIS_CONFIG_LOCAL: path.join(loader.configDir, 'missing.json') };
+  assert.throws(() => loader.load(), /missing\.json: file not found \(set by LIS_CONFIG_LOCAL\)/);
+
+  loader.env = {};
+  fs.writeFileSync(path.join(loader.configDir, 'local.json'), '{ "server": ');
+  assert.throws(() => loader.load(), /Cannot read .*local\.json/);
+});
+
+test('mask hides secret values only', () => {
+  const masked = ConfigLoader.mask({
+    server: { url: 'https://lis.example.org' },
+    security: { apiKey: 'abc', apiKeyHeader: 'X-Api-Key', tls: { key: './client.key', passphrase: 'secret' }, oauth2: { clientSecret: null } },
+    encryption: { key: 'k1', previousKeys: ['k0'], keyFile: './data/key' },
+    control: { token: '' }
+  });
+
+  assert.deepStrictEqual(masked, {
+    server: { url: 'https://lis.example.org' },
+    security: { apiKey: '********', apiKeyHeader: 'X-Api-Key', tls: { key: '********', passphrase: '********' }, oauth2: { clientSecret: null } },
+    encryption: { key: '********', previousKeys: ['********'], keyFile: './data/key' },
+    control: { token: '' }
+  });
+});
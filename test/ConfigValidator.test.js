@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ConfigValidator = require('../src/lib/ConfigValidator');
+
+const validator = new ConfigValidator();
+
+function minimal(overrides = {}) {
+  return {
+    server: { url: 'http://localhost:3000' },
+    instruments: [{ id: 'CLIENT_001' }],
+    connections: [{ id: 'conn1', type: 'tcp', instrumentId: 'CLIENT_001', tcp: { port: 5000 } }],
+    ...overrides
+  };
+}
+
+test('defaults are filled in for a minimal configuration', () => {
+  const { config, errors, warnings } = validator.validate(minimal());
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings, []);
+  assert.strictEqual(config.server.timeout, 30000);
+  assert.strictEqual(config.retry.maxRetries, 5);
+  assert.strictEqual(config.queue.dir, './data/queue');
+  assert.strictEqual(config.connections[0].tcp.useProtocolHandler, true);
+  assert.strictEqual(config.encryption.key, null);
+  assert.deepStrictEqual(config.encryption.previousKeys, []);
+  assert.strictEqual(config.connection, undefined, 'optional objects are not created');
+});
+
+test('every problem is reported with its path', () => {
+  const { errors, warnings } = validator.validate(minimal({
+    server: { timeout: '30s' },
+    connections: [{ id: 'conn1', type: 'Serial', instrumentId: 'CLIENT_001', serial: { port: 'COM3', baudRate: 0 } }],
+    retry: { maxRetries: 1.5, colour: 'red', _comment: 'allowed' }
+  }));
+
+  assert.deepStrictEqual(errors, [
+    'server.url: is required',
+    'server.timeout: must be an integer (got "30s")',
+    'connections[0].type: must be one of "serial", "tcp" (got "Serial")',
+    'connections[0].serial.baudRate: must be at least 1 (got 0)',
+    'retry.maxRetries: must be an integer (got 1.5)'
+  ]);
+  assert.deepStrictEqual(warnings, ['retry.colour: unknown setting (ignored)']);
+  assert.deepStrictEqual(validator.validate([]).errors, ['(root): must be a JSON object']);
+});
+
+test('settings that conflict with each other are reported', () => {
+  const { errors } = validator.validate(minimal({
+    instruments: [{ id: 'CLIENT_001' }, { id: 'CLIENT_001' }],
+    connections: [
+      { id: 'conn1', type: 'tcp', instrumentId: 'CLIENT_001', tcp: { port: 5000 } },
+      { id: 'conn1', type: 'tcp', instrumentId: 'CLIENT_002', tcp: { port: 5000 } },
+      { type: 'serial', instrumentId: 'CLIENT_001', serial: { port: 'com3' } },
+      { type: 'serial', serial: { port: 'COM3' } },
+      { type: 'tcp', instrumentId: 'CLIENT_001' }
+    ],
+    control: { port: 5000 },
+    encryption: { enabled: true },
+    security: { oauth2: { enabled: true, tokenUrl: 'https://auth/token' } }
+  }));
+
+  assert.deepStrictEqual(errors, [
+    'instruments: id "CLIENT_001" is used more than once',
+    'connections[1].id: "conn1" is already used by connections[0]',
+    'connections[1].tcp.port: 5000 is already used by connections[0]',
+    'connections[1].instrumentId: "CLIENT_002" does not match any instruments[].id',
+    'connections[3].serial.port: COM3 is already used by connections[2]',
+    'connections[3].instrumentId: is required (or set instrument.id)',
+    'connections[4].tcp: is required for a tcp connection',
+    'security.oauth2.clientId: is required when OAuth2 is enabled',
+    'security.oauth2.clientSecret: is required when OAuth2 is enabled',
+    'encryption.key: is required when encryption is enabled (or set encryption.keyFile)',
+    'control.port: 5000 is already used by connections[0]'
+  ]);
+});
+
+test('a single legacy connection with instrument.id is accepted', () => {
+  const { errors } = validator.validate({
+    server: { url: 'http://localhost:3000' },
+    instrument: { id: 'CLIENT_001', type: 'MAGLUMI' },
+    connection: { type: 'serial', serial: { port: 'COM8' } }
+  });
+  assert.deepStrictEqual(errors, []);
+
+  assert.deepStrictEqual(validator.validate({ server: { url: 'http://localhost:3000' } }).errors,
+    ['connections: at least one connection must be configured']);
+});
+
+test('format lists errors before warnings', () => {
+  assert.strictEqual(ConfigValidator.format({ errors: ['a: is required'], warnings: ['b: unknown setting (ignored)'] }, 'local.json'), [
+    'Invalid local.json (1 error):',
+    '  - a: is required',
+    'Warnings in local.json:',
+    '  - b: unknown setting (ignored)'
+  ].join('\n'));
+  assert.strictEqual(ConfigValidator.format({ errors: [], warnings: [] }), '');
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const ControlServer = require('../src/lib/ControlServer');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+
+async function startServer(t, control = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-control-'));
+  const agent = {
+    getStatus: () => ({ ok: true }),
+    pauseDelivery: () => ({ paused: true })
+  };
+  const server = new ControlServer({
+    control: { port: 0, tokenFile: path.join(dir, 'control.token'), ...control }
+  }, logger, agent);
+  await server.start();
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return server;
+}
+
+function request(server, method, pathname, headers = {}) {
+  const { port } = server.server.address();
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers, agent: false }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Send a request line as-is (http.request would reject or normalize odd targets)
+ * @returns {Promise<number>} Response status
+ */
+function rawRequest(server, requestLine, headers = {}) {
+  const { port } = server.server.address();
+  const head = [requestLine, 'Host: 127.0.0.1', 'Connection: close', ...Object.entries(headers).map(([k, v]) => `${k}: ${v}`)];
+  return new Promise((resolve, reject) => {
+    let response = '';
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(head.join('\r\n') + '\r\n\r\n'));
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(parseInt(response.split(' ')[1], 10)));
+    socket.on('error', reject);
+  });
+}
+
+test('a token is generated on first start and reused afterwards', async (t) => {
+  const server = await startServer(t);
+  assert.match(server.token, /^[0-9a-f]{64}$/);
+  assert.strictEqual(fs.readFileSync(server.tokenFile, 'utf8').trim(), server.token);
+  if (process.platform !== 'win32') {
+    assert.strictEqual(fs.statSync(server.tokenFile).mode & 0o777, 0o600);
+  }
+
+  const restarted = new ControlServer({ control: { tokenFile: server.tokenFile } }, logger, {});
+  restarted.loadToken();
+  assert.strictEqual(restarted.token, server.token);
+});
+
+test('requests need the token', async (t) => {
+  const server = await startServer(t, { token: 'secret-token' });
+  assert.strictEqual(await request(server, 'GET', '/status'), 401);
+  assert.strictEqual(await request(server, 'GET', '/status', { Authorization: 'Bearer wrong' }), 401);
+  assert.strictEqual(await request(server, 'GET', '/status', { Authorization: 'Bearer secret-token' }), 200);
+});
+
+test('browser requests are refused', async (t) => {
+  const server = await startServer(t, { token: 'secret-token' });
+  const auth = { Authorization: 'Bearer secret-token' };
+
+  assert.strictEqual(await request(server, 'GET', '/status', { ...auth, Host: 'localhost:8765' }), 200);
+  assert.strictEqual(await request(server, 'GET', '/status', { ...auth, Host: 'attacker.example.com' }), 403);
+  assert.strictEqual(await request(server, 'GET', '/status', { ...auth, Host: 'attacker.example.com:8765' }), 403);
+  assert.strictEqual(await request(server, 'GET', '/status', { ...auth, Origin: 'http://127.0.0.1:8765' }), 403);
+  assert.strictEqual(await request(server, 'GET', '/status', { ...auth, Origin: 'null' }), 403);
+});
+
+test('POST requests must be JSON', async (t) => {
+  const server = await startServer(t, { token: 'secret-token' });
+  const auth = { Authorization: 'Bearer secret-token' };
+
+  assert.strictEqual(await request(server, 'POST', '/queue/pause', auth), 415);
+  assert.strictEqual(await request(server, 'POST', '/queue/pause', { ...auth, 'Content-Type': 'text/plain' }), 415);
+  assert.strictEqual(await request(server, 'POST', '/queue/pause', { ...auth, 'Content-Type': 'application/json; charset=utf-8' }), 200);
+});
+
+test('malformed request targets are answered with 400', async (t) => {
+  const server = await startServer(t, { token: 'secret-token' });
+  const auth = { Authorization: 'Bearer secret-token' };
+
+  assert.strictEqual(await rawRequest(server, 'GET // HTTP/1.1'), 401);
+  assert.strictEqual(await rawRequest(server, 'GET // HTTP/1.1', auth), 400);
+  assert.strictEqual(await rawRequest(server, 'POST /connections/%zz/reconnect HTTP/1.1', auth), 400);
+
+  // Still serving
+  assert.strictEqual(await request(server, 'GET', '/status', auth), 200);
+});
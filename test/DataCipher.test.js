@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataCipher = require('../src/lib/DataCipher');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+
+const cipher = (encryption) => new DataCipher({ encryption }, logger);
+
+test('values round-trip and each encryption uses a fresh IV', () => {
+  const key = DataCipher.generateKey();
+  const dataCipher = cipher({ enabled: true, key });
+  const value = { PatientName: 'DOE^JOHN', Orders: [{ SpecimenID: 'S001' }] };
+
+  const first = dataCipher.encrypt(value);
+  assert.match(first, new RegExp(`^enc:v1:${DataCipher.keyId(Buffer.from(key, 'base64'))}:`));
+  assert.ok(!first.includes('DOE'));
+  assert.notStrictEqual(dataCipher.encrypt(value), first);
+  assert.deepStrictEqual(dataCipher.decrypt(first), value);
+
+  assert.strictEqual(dataCipher.encrypt(null), null);
+  assert.strictEqual(dataCipher.decrypt('plain text'), 'plain text');
+});
+
+test('altered data and unknown keys are refused', () => {
+  const dataCipher = cipher({ enabled: true, key: DataCipher.generateKey() });
+  const encrypted = dataCipher.encrypt('S001');
+  const parts = encrypted.split(':');
+  parts[5] = Buffer.from('S002').toString('base64');
+  assert.throws(() => dataCipher.decrypt(parts.join(':')));
+
+  const other = cipher({ enabled: true, key: DataCipher.generateKey() });
+  assert.throws(() => other.decrypt(encrypted), /not configured \(add it to encryption\.previousKeys\)/);
+});
+
+test('a rotated key still decrypts and marks its data as stale', () => {
+  const oldKey = DataCipher.generateKey();
+  const before = cipher({ enabled: true, key: oldKey });
+  const encrypted = before.encrypt({ value: '5.4' });
+  assert.strictEqual(before.isStale(encrypted), false);
+  assert.strictEqual(before.isStale({ value: '5.4' }), true, 'plain data is stale while encryption is enabled');
+
+  const after = cipher({ enabled: true, key: DataCipher.generateKey(), previousKeys: [oldKey] });
+  assert.deepStrictEqual(after.decrypt(encrypted), { value: '5.4' });
+  assert.strictEqual(after.isStale(encrypted), true);
+  assert.strictEqual(after.isStale(after.encrypt({ value: '5.4' })), false);
+
+  // Disabled: nothing is written encrypted, but existing data stays readable
+  const disabled = cipher({ enabled: false, previousKeys: [oldKey] });
+  assert.strictEqual(disabled.encrypt('S001'), 'S001');
+  assert.strictEqual(disabled.isStale(encrypted), false);
+  assert.deepStrictEqual(disabled.decrypt(encrypted), { value: '5.4' });
+});
+
+test('sealFields and openFields only touch the named fields', () => {
+  const dataCipher = cipher({ enabled: true, key: DataCipher.generateKey() });
+  const record = { id: '1', data: { SpecimenID: 'S001' }, context: { raw: 'H|\\^&\r' }, attempts: 2 };
+
+  const sealed = dataCipher.sealFields(record, ['data', 'context', 'missing']);
+  assert.strictEqual(sealed.id, '1');
+  assert.strictEqual(sealed.attempts, 2);
+  assert.ok(dataCipher.isEncrypted(sealed.data));
+  assert.ok(dataCipher.isEncrypted(sealed.context));
+  assert.ok(!('missing' in sealed));
+  assert.deepStrictEqual(record.data, { SpecimenID: 'S001' }, 'the original record is not changed');
+
+  assert.deepStrictEqual(dataCipher.openFields(sealed, ['data', 'context', 'missing']), record);
+  assert.deepStrictEqual(dataCipher.decryptDeep({ items: [sealed] }), { items: [record] });
+});
+
+test('keys are read from a key file and checked', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-cipher-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const key = DataCipher.generateKey();
+  const previous = DataCipher.generateKey();
+
+  const single = path.join(dir, 'single.key');
+  fs.writeFileSync(single, `${key}\n`);
+  assert.strictEqual(cipher({ enabled: true, keyFile: single }).activeKeyId, DataCipher.keyId(Buffer.from(key, 'base64')));
+
+  const rotated = path.join(dir, 'rotated.json');
+  fs.writeFileSync(rotated, JSON.stringify({ key, previousKeys: [previous] }));
+  assert.strictEqual(cipher({ enabled: true, keyFile: rotated }).keys.size, 2);
+
+  assert.throws(() => cipher({ enabled: true, keyFile: path.join(dir, 'missing.key') }), /Cannot read encryption key file/);
+  assert.throws(() => cipher({ enabled: true }), /no key is configured/);
+  assert.throws(() => cipher({ enabled: true, key: 'c2hvcnQ=' }), /encryption\.key must be a base64-encoded 32-byte key \(got 5 bytes\)/);
+  assert.throws(() => cipher({ key, previousKeys: ['c2hvcnQ='] }), /encryption\.previousKeys\[0\]/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DriverRegistry = require('../src/drivers/DriverRegistry');
+const MessageParser = require('../src/lib/MessageParser');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+const parser = new MessageParser(logger);
+
+test('the Sysmex XN driver reads the sample number and parameter code', () => {
+  const driver = new DriverRegistry(logger).get('sysmex_xn');
+  const message = [
+    'H|\\^&|||XN-350^00-22^11001^^^^12345678||||||||E1394-97',
+    'P|1|||||||U',
+    'O|1||^^          S001^B|^^^^WBC\\^^^^RBC|||||||N',
+    'R|1|^^^^WBC^1|7.45|10*3/uL||N||||||20240101120000',
+    'L|1|N'
+  ].join('\r') + '\r';
+
+  const parsed = parser.parse(message, driver);
+  const order = parsed.messages[0].patients[0].orders[0];
+  assert.strictEqual(order.specimenId, 'S001');
+  assert.deepStrictEqual(order.testCodes, ['WBC', 'RBC']);
+  assert.strictEqual(order.results[0].testCode, 'WBC');
+  assert.strictEqual(order.results[0].value, '7.45');
+});
+
+test('the MAGLUMI driver normalises ranges and waits for the terminator record', () => {
+  const driver = new DriverRegistry(logger).get('MAGLUMI');
+  const parsed = parser.parse('H|\\^&\rO|1|S001||^^^TSH\rR|1|^^^TSH|2.5|uIU/mL|0.3 to 4.5|N\rL|1|N\r', driver);
+  assert.strictEqual(parsed.results[0].referenceRange, '0.3-4.5');
+
+  assert.strictEqual(driver.isMessageComplete('H|\\^&\r\nR|1|^^^TSH|2.5\r\n'), false);
+  assert.strictEqual(driver.isMessageComplete('H|\\^&\r\nR|1|^^^TSH|2.5\r\nL|1|N\r\n'), true);
+  assert.strictEqual(driver.isMessageComplete('H|\\^&\r\n\x04'), true);
+});
+
+test('a plain-object driver overrides only the members and field positions it names', () => {
+  const registry = new DriverRegistry(logger);
+  const driver = registry.register({
+    type: 'my_analyzer',
+    astmFields: { result: { value: 4 } },
+    extractTestCode: components => components[1] || ''
+  });
+
+  assert.strictEqual(registry.get('MY_ANALYZER'), driver);
+  assert.strictEqual(driver.astmFields.result.value, 4);
+  assert.strictEqual(driver.astmFields.result.unit, 4);
+  assert.strictEqual(driver.astmFields.order.specimenId, 2);
+
+  const parsed = parser.parse('H|\\^&\rO|1|S001||X^TSH\rR|1|X^TSH|ignored|2.5\rL|1|N\r', driver);
+  assert.deepStrictEqual(parsed.results.map(r => [r.testCode, r.value]), [['TSH', '2.5']]);
+  assert.throws(() => registry.register({ astmFields: {} }), /must declare a type/);
+});
+
+test('custom drivers are loaded from a directory and unknown types use the generic driver', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-drivers-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'custom.js'), "module.exports = { type: 'CUSTOM', description: 'Custom analyzer' };");
+  fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = {};');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a driver');
+
+  const registry = new DriverRegistry(logger);
+  const generic = registry.get('GENERIC');
+  registry.loadDirectory(dir);
+  registry.loadDirectory(path.join(dir, 'missing'));
+
+  assert.strictEqual(registry.has('custom'), true);
+  // The definition without a type is refused rather than replacing the generic driver
+  assert.strictEqual(registry.get('GENERIC'), generic);
+  assert.deepStrictEqual(registry.list().map(d => d.type), ['GENERIC', 'MAGLUMI', 'SYSMEX_XN', 'CUSTOM']);
+  assert.strictEqual(registry.get('UNKNOWN').type, 'GENERIC');
+  assert.strictEqual(registry.get().type, 'GENERIC');
+  assert.strictEqual(registry.has('UNKNOWN'), false);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DuplicateWindow = require('../src/lib/DuplicateWindow');
+const MessageParser = require('../src/lib/MessageParser');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+const parser = new MessageParser(logger);
+
+function astm({ value = '5.4', unit = 'mmol/L', time = '20240101120000' } = {}) {
+  return [
+    `H|\\^&|||LIS^1|||||||P|1|${time}`,
+    'P|1||PID1||Doe^John',
+    'O|1|S001||^^^GLU',
+    `R|1|^^^GLU|${value}|${unit}||N||F||||`,
+    'L|1|N'
+  ].join('\r') + '\r';
+}
+
+function hl7({ value = '5.4', unit = 'mmol/L' } = {}) {
+  return [
+    'MSH|^~\\&|INST|LAB|LIS|HOSP|20240101120000||ORU^R01|1|P|2.5',
+    'PID|1||123',
+    'OBR|1|S001|S001|GLU',
+    `OBX|1|NM|GLU^Glucose||${value}|${unit}|||||F`
+  ].join('\r') + '\r';
+}
+
+const idOf = raw => DuplicateWindow.messageId(parser.parse(raw), 'analyzer-1');
+
+test('ASTM header time is read from H-14', () => {
+  const header = parser.parse(astm()).messages[0].header;
+  assert.strictEqual(header.timestamp, '20240101120000');
+});
+
+test('the same results get the same id', () => {
+  assert.strictEqual(idOf(astm()), idOf(astm()));
+  assert.strictEqual(idOf(hl7()), idOf(hl7()));
+});
+
+test('results differing only in value are both forwarded', () => {
+  const window = new DuplicateWindow({ dedup: { windowMs: 60000 } }, logger);
+  const first = idOf(astm({ value: '5.4' }));
+  const corrected = idOf(astm({ value: '6.1' }));
+  assert.notStrictEqual(first, corrected);
+
+  assert.strictEqual(window.has(first), false);
+  window.remember(first);
+  assert.strictEqual(window.has(corrected), false);
+  window.remember(corrected);
+  assert.strictEqual(window.has(first), true);
+
+  assert.notStrictEqual(idOf(hl7({ value: '5.4' })), idOf(hl7({ value: '6.1' })));
+});
+
+test('units and message time are part of the id', () => {
+  assert.notStrictEqual(idOf(astm({ unit: 'mmol/L' })), idOf(astm({ unit: 'mg/dL' })));
+  assert.notStrictEqual(idOf(astm({ time: '20240101120000' })), idOf(astm({ time: '20240101130000' })));
+  assert.notStrictEqual(idOf(hl7({ unit: 'mmol/L' })), idOf(hl7({ unit: 'mg/dL' })));
+});
+
+test('a message without results has no id', () => {
+  const raw = 'H|\\^&|||LIS^1|||||||P|1|20240101120000\rL|1|N\r';
+  assert.strictEqual(idOf(raw), null);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Journal = require('../src/lib/Journal');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-journal-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Damage line `index` (0-based) of the first segment
+ */
+function corruptLine(dir, index, replace) {
+  const file = path.join(dir, '000001.log');
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  lines[index] = replace(lines[index]);
+  fs.writeFileSync(file, lines.join('\n'));
+}
+
+test('entries survive a reopen', (t) => {
+  const dir = tempDir(t);
+  const journal = new Journal({ dir }, logger).open();
+  journal.put('1', { a: 1 });
+  journal.put('2', { a: 2 });
+  journal.delete('1');
+  journal.close();
+
+  const reopened = new Journal({ dir }, logger).open();
+  assert.deepStrictEqual(reopened.values(), [{ a: 2 }]);
+  assert.strictEqual(reopened.suspects().size, 0);
+  assert.strictEqual(reopened.nextId(), '3');
+  reopened.close();
+});
+
+test('an entry whose delete record is corrupt is reported as suspect', (t) => {
+  const dir = tempDir(t);
+  const journal = new Journal({ dir }, logger).open();
+  journal.put('1', { a: 1 });
+  journal.put('2', { a: 2 });
+  journal.delete('1'); // line 2
+  journal.put('3', { a: 3 });
+  journal.close();
+
+  // Checksum no longer matches, but the id can still be read
+  corruptLine(dir, 2, line => line.replace('"op":"del"', '"op":"dEl"'));
+
+  const reopened = new Journal({ dir }, logger).open();
+  assert.deepStrictEqual(reopened.values(), [{ a: 1 }, { a: 2 }, { a: 3 }]);
+  assert.deepStrictEqual([...reopened.suspects()], [['1', 1]]);
+  reopened.close();
+});
+
+test('an unreadable record makes every earlier entry suspect', (t) => {
+  const dir = tempDir(t);
+  const journal = new Journal({ dir }, logger).open();
+  journal.put('1', { a: 1 });
+  journal.put('2', { a: 2 });
+  journal.delete('2'); // line 2
+  journal.put('3', { a: 3 });
+  journal.close();
+
+  corruptLine(dir, 2, line => line.substring(0, 10));
+
+  const reopened = new Journal({ dir }, logger).open();
+  assert.deepStrictEqual([...reopened.suspects().keys()].sort(), ['1', '2']);
+  reopened.delete('1');
+  assert.deepStrictEqual([...reopened.suspects().keys()], ['2']);
+  reopened.close();
+});
+
+test('a failed compaction leaves the journal writable', (t) => {
+  const dir = tempDir(t);
+  const journal = new Journal({ dir }, logger).open();
+  journal.put('1', { a: 1 });
+  journal.delete('1');
+  journal.put('2', { a: 2 });
+
+  // The compacted segment cannot be renamed into place
+  fs.mkdirSync(path.join(dir, '000002.log', 'blocked'), { recursive: true });
+  assert.throws(() => journal.compact());
+  journal.put('3', { a: 3 });
+  journal.close();
+
+  fs.rmSync(path.join(dir, '000002.log'), { recursive: true });
+  const reopened = new Journal({ dir }, logger).open();
+  assert.deepStrictEqual(reopened.values(), [{ a: 2 }, { a: 3 }]);
+  reopened.close();
+});
+
+test('a segment compaction could not remove does not bring back deleted entries', (t) => {
+  const dir = tempDir(t);
+  const journal = new Journal({ dir }, logger).open();
+  journal.put('1', { a: 1 });
+  journal.put('2', { a: 2 });
+  journal.delete('1');
+
+  t.mock.method(fs, 'unlinkSync', () => {
+    throw new Error('EBUSY: resource busy or locked');
+  });
+  journal.compact();
+  t.mock.restoreAll();
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['000001.log', '000002.log']);
+
+  journal.put('3', { a: 3 });
+  journal.close();
+
+  const reopened = new Journal({ dir }, logger).open();
+  assert.deepStrictEqual(reopened.values(), [{ a: 2 }, { a: 3 }]);
+  assert.strictEqual(reopened.nextId(), '4');
+  reopened.close();
+});
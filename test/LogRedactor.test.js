@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const LogRedactor = require('../src/lib/LogRedactor');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-redactor-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const hashed = (redactor, value) => redactor.redact({ level: 'info', message: 'Parsed message', patientName: value }).patientName;
+
+test('hash policy is keyed with a per-install secret', (t) => {
+  const dir = tempDir(t);
+  const hashKeyFile = path.join(dir, 'log-hash.key');
+  const redactor = new LogRedactor({ levels: { info: 'hash' }, hashKeyFile });
+
+  const value = hashed(redactor, 'DOE^JOHN');
+  assert.match(value, /^#[0-9a-f]{12}$/);
+  assert.strictEqual(hashed(redactor, 'DOE^JOHN'), value);
+  assert.notStrictEqual(hashed(redactor, 'DOE^JANE'), value);
+
+  // A dictionary of names hashed without the key does not match
+  const unkeyed = crypto.createHash('sha256').update(JSON.stringify('DOE^JOHN')).digest('hex');
+  assert.ok(!unkeyed.startsWith(value.substring(1)));
+
+  assert.ok(fs.existsSync(hashKeyFile));
+  if (process.platform !== 'win32') {
+    assert.strictEqual(fs.statSync(hashKeyFile).mode & 0o777, 0o600);
+  }
+
+  // Same install (e.g. the auto-detection log) - same hashes; another install - different ones
+  assert.strictEqual(hashed(new LogRedactor({ levels: { info: 'hash' }, hashKeyFile }), 'DOE^JOHN'), value);
+  const other = new LogRedactor({ levels: { info: 'hash' }, hashKeyFile: path.join(dir, 'other.key') });
+  assert.notStrictEqual(hashed(other, 'DOE^JOHN'), value);
+});
+
+test('strict mode never hashes', (t) => {
+  const hashKeyFile = path.join(tempDir(t), 'log-hash.key');
+  const redactor = new LogRedactor({ strict: true, levels: { info: 'hash' }, hashKeyFile });
+
+  const info = redactor.redact({ level: 'info', message: 'Parsed message', patientName: 'DOE^JOHN', sampleId: 'S001' });
+  assert.strictEqual(info.patientName, '[REDACTED]');
+  assert.strictEqual(info.sampleId, '[REDACTED]');
+  assert.strictEqual(fs.existsSync(hashKeyFile), false);
+});
+
+test('raw messages are redacted with the delimiter their header declares', (t) => {
+  const redactor = new LogRedactor({ hashKeyFile: path.join(tempDir(t), 'log-hash.key') });
+  const text = (message) => redactor.redact({ level: 'info', message }).message;
+
+  const astm = 'H#\\^&###ANALYZER\rP#1#PAT100##DOE^JOHN##19800101#M\rO#1#S001\rL#1#N\r';
+  assert.strictEqual(text(astm), 'H#\\^&###ANALYZER\rP#1#[REDACTED]\rO#1#S001\rL#1#N\r');
+
+  const hl7 = 'MSH*^~\\&*LAB*HOSP\rPID*1**PAT100**DOE^JOHN\rOBX*1*NM*GLU**5.4\r';
+  assert.strictEqual(text(hl7), 'MSH*^~\\&*LAB*HOSP\rPID*1*[REDACTED]\rOBX*1*NM*GLU**5.4\r');
+
+  // Standard delimiter without a header in the text
+  assert.strictEqual(text('\x021P|1|PAT100||DOE^JOHN\r'), '\x021P|1|[REDACTED]\r');
+
+  // A record whose delimiter cannot be told is masked whole; plain log text is not
+  assert.strictEqual(text('P#1#PAT100##DOE^JOHN\rL#1#N\r'), '[REDACTED]');
+  assert.strictEqual(text('Listening on port 5000'), 'Listening on port 5000');
+
+  const strict = new LogRedactor({ strict: true });
+  assert.strictEqual(strict.redact({ level: 'info', message: astm }).message,
+    'H#[REDACTED]\rP#[REDACTED]\rO#[REDACTED]\rL#[REDACTED]\r');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageBuilder = require('../src/lib/MessageBuilder');
+const MessageParser = require('../src/lib/MessageParser');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+const parser = new MessageParser(logger);
+const builder = new MessageBuilder();
+
+test('HL7 ACK re-encodes fields copied from a message with other delimiters', () => {
+  // Sender uses # for components, * for repetitions, ! as escape and $ for subcomponents
+  const message = [
+    'MSH|#*!$|ANALYZER#A^1|LAB&1|LIS|HOSP~2|20240101120000||ORU#R01|CTRL^1|P|2.5',
+    'OBR|1|S001|S001|GLU',
+    'OBX|1|NM|GLU||5.4|mmol/L|||||F'
+  ].join('\r') + '\r';
+
+  const ack = parser.parse(builder.buildHL7Ack(parser.parse(message), 'AE', 'Unmapped | codes'));
+  const msh = ack.getSegment('MSH');
+  assert.strictEqual(msh.rawField(2), '^~\\&');
+  assert.strictEqual(msh.get(3), 'LIS');
+  assert.strictEqual(msh.get(4), 'HOSP~2');
+  assert.strictEqual(msh.get(5, 1), 'ANALYZER');
+  assert.strictEqual(msh.get(5, 2), 'A^1');
+  assert.strictEqual(msh.get(6), 'LAB&1');
+  assert.strictEqual(msh.get(9, 2), 'R01');
+
+  const msa = ack.getSegment('MSA');
+  assert.strictEqual(msa.get(1), 'AE');
+  assert.strictEqual(msa.get(2), 'CTRL^1');
+  assert.strictEqual(msa.get(3), 'Unmapped | codes');
+});
+
+test('HL7 ACK keeps the structure of standard-encoded fields', () => {
+  const message = 'MSH|^~\\&|ANALYZER^1.2.3^ISO|LAB|LIS|HOSP|20240101120000||ORU^R01|42|P|2.5\r';
+  const ack = builder.buildHL7Ack(parser.parse(message), 'AA');
+  assert.ok(ack.startsWith('MSH|^~\\&|LIS|HOSP|ANALYZER^1.2.3^ISO|LAB|'));
+  assert.ok(ack.endsWith('\rMSA|AA|42\r'));
+});
+
+test('ASTM order download escapes delimiters in patient and order values', () => {
+  const patients = [{
+    PracticePatientID: 'P|100',
+    LabPatientID: 'L\\200',
+    PatientName: "O'BRIEN & SONS^MARY|ANN",
+    DOB: '19800101',
+    Sex: 'F',
+    Orders: [{ SpecimenID: 'S^001&A', Tests: ['TSH', 'FT|4'], Priority: 'S' }]
+  }];
+
+  const message = builder.buildAstmOrderResponse(patients);
+  const lines = message.split('\r').filter(Boolean);
+  assert.deepStrictEqual(lines.map(line => line[0]), ['H', 'P', 'O', 'L']);
+  assert.strictEqual(lines[1].split('|').length, 9);
+  assert.strictEqual(lines[2].split('|').length, 26);
+
+  const parsed = parser.parse(message);
+  const patient = parsed.messages[0].patients[0];
+  assert.strictEqual(patient.practiceId, 'P|100');
+  assert.strictEqual(patient.labId, 'L\\200');
+  assert.strictEqual(patient.name, "O'BRIEN & SONS MARY|ANN");
+  assert.strictEqual(patient.dob, '19800101');
+
+  const order = patient.orders[0];
+  assert.strictEqual(order.specimenId, 'S^001&A');
+  assert.deepStrictEqual(order.testCodes, ['TSH', 'FT|4']);
+  assert.strictEqual(order.priority, 'S');
+});
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MessageParser = require('../src/lib/MessageParser');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+const parser = new MessageParser(logger);
+
+test('HL7 fields are split into components and repetitions with escapes decoded', () => {
+  const message = [
+    'MSH|^~\\&|ANALYZER|LAB|LIS|HOSP|20240101120000||ORU^R01|42|P|2.5',
+    'PID|1|PAT100|LAB200^^^HOSP~ALT300||DOE^JOHN^Q||19800101|M',
+    'OBR|1|PLACER1|S001|TSH^Thyroid stimulating hormone',
+    'OBX|1|NM|TSH^TSH\\S\\3||2.5|mIU/L^^UCUM|0.4-4.0|N|||F|||20240101115500',
+    'NTE|1||Line one\\.br\\Line two \\F\\ \\X41\\\\H\\x\\N\\'
+  ].join('\r') + '\r';
+
+  const parsed = parser.parse(message);
+  assert.strictEqual(parsed.recordType, 'HL7');
+  assert.strictEqual(parsed.get('MSH-9.2'), 'R01');
+  assert.strictEqual(parsed.get('MSH-10'), '42');
+  assert.strictEqual(parsed.get('PID-5.1'), 'DOE');
+  assert.strictEqual(parsed.get('PID-5.2'), 'JOHN');
+  assert.strictEqual(parsed.get('PID-3.4'), 'HOSP');
+
+  const pid = parsed.getSegment('PID');
+  assert.deepStrictEqual(pid.repetitions(3), [['LAB200', '', '', 'HOSP'], ['ALT300']]);
+  assert.strictEqual(pid.get(3, 1, undefined, 2), 'ALT300');
+
+  assert.strictEqual(parsed.get('OBX-3.2'), 'TSH^3');
+  assert.strictEqual(parsed.get('OBX-7'), '0.4-4.0');
+  assert.strictEqual(parsed.get('NTE-3'), 'Line one\nLine two | Ax');
+  assert.strictEqual(parsed.sampleId, 'S001');
+  assert.deepStrictEqual(parsed.results, [{
+    testCode: 'TSH',
+    value: '2.5',
+    unit: 'mIU/L',
+    referenceRange: '0.4-4.0',
+    flag: 'N',
+    completedAt: '20240101115500'
+  }]);
+});
+
+test('HL7 encoding characters are read from MSH-1 and MSH-2', () => {
+  const message = [
+    'MSH#@*!$#ANALYZER#LAB#LIS#HOSP#20240101120000##ORU@R01#43#P#2.5',
+    'PID#1#PAT100###DOE@JANE',
+    'OBR#1##S002',
+    'OBX#1#NM#GLU@Glucose##5.4#mmol/L#3.9-6.1 !F! fasting#H'
+  ].join('\r') + '\r';
+
+  const parsed = parser.parse(message);
+  assert.deepStrictEqual(parsed.encoding, { field: '#', component: '@', repetition: '*', escape: '!', subcomponent: '$' });
+  assert.strictEqual(parsed.getSegment('MSH').rawField(2), '@*!$');
+  assert.strictEqual(parsed.get('MSH-9.1'), 'ORU');
+  assert.strictEqual(parsed.get('PID-5.2'), 'JANE');
+  assert.strictEqual(parsed.sampleId, 'S002');
+  assert.strictEqual(parsed.results[0].testCode, 'GLU');
+  assert.strictEqual(parsed.results[0].referenceRange, '3.9-6.1 # fasting');
+});
+
+test('MLLP-wrapped HL7 is unwrapped before parsing', () => {
+  const parsed = parser.parse('\x0BMSH|^~\\&|ANALYZER\rOBR|1||S003\r\x1C\r');
+  assert.strictEqual(parsed.recordType, 'HL7');
+  assert.strictEqual(parsed.get('MSH-3'), 'ANALYZER');
+  assert.strictEqual(parsed.sampleId, 'S003');
+});
+
+test('ASTM delimiters are read from the header record', () => {
+  const message = [
+    'H#~@!##ANALYZER##########20240101120000',
+    'P#1#PAT100###DOE@JOHN',
+    'O#1#S001@01@05##@@@TSH~@@@FT4#R',
+    'R#1#@@@TSH#2.5#mIU!F!L#0.4-4.0#N######20240101115500',
+    'R#2#@@@FT4#!X3C!0.5#ng/dL##L',
+    'L#1#N'
+  ].join('\r') + '\r';
+
+  const parsed = parser.parse(message);
+  assert.strictEqual(parsed.recordType, 'ASTM');
+  assert.deepStrictEqual(parsed.delimiters, { field: '#', repeat: '~', component: '@', escape: '!' });
+
+  const [header, patient, order, tsh, ft4] = parsed.records;
+  assert.strictEqual(header.sendingApp, 'ANALYZER');
+  assert.strictEqual(header.timestamp, '20240101120000');
+  assert.strictEqual(patient.name, 'DOE JOHN');
+  assert.strictEqual(order.specimenId, 'S001');
+  assert.deepStrictEqual(order.testCodes, ['TSH', 'FT4']);
+  assert.strictEqual(order.priority, 'R');
+  assert.strictEqual(tsh.unit, 'mIU#L');
+  assert.strictEqual(tsh.completedAt, '20240101115500');
+  assert.strictEqual(ft4.value, '<0.5');
+  assert.strictEqual(ft4.flag, 'L');
+});
+
+test('each ASTM header applies to the records that follow it', () => {
+  const message = [
+    'H|\\^&',
+    'O|1|S001||^^^TSH',
+    'R|1|^^^TSH|2.5',
+    'L|1|N',
+    'H#~@!',
+    'O#1#S002##@@@FT4',
+    'R#1#@@@FT4#1.2',
+    'L#1#N'
+  ].join('\r') + '\r';
+
+  const parsed = parser.parse(message);
+  assert.deepStrictEqual(parsed.delimiters, { field: '|', repeat: '\\', component: '^', escape: '&' });
+  assert.deepStrictEqual(parsed.results.map(r => [r.testCode, r.value]), [['TSH', '2.5'], ['FT4', '1.2']]);
+  assert.deepStrictEqual(parsed.messages.map(m => m.patients[0].orders[0].specimenId), ['S001', 'S002']);
+});
+
+test('an invalid ASTM delimiter definition falls back to the defaults', () => {
+  const parsed = parser.parse('H|\\^^\rO|1|S001||^^^TSH\rL|1|N\r');
+  assert.deepStrictEqual(parsed.delimiters, { field: '|', repeat: '\\', component: '^', escape: '&' });
+  assert.deepStrictEqual(parsed.records[1].testCodes, ['TSH']);
+});
+
+test('framed ASTM records are unwrapped and escape sequences decoded', () => {
+  const parsed = parser.parse('\x021H|\\^&\rP|1||||O&S&BRIEN^MARY &E& CO\rL|1|N\r\x0312\r\n');
+  assert.strictEqual(parsed.recordType, 'ASTM');
+  assert.strictEqual(parsed.records[1].name, 'O^BRIEN MARY & CO');
+});
+
+test('ASTM records are grouped into patients, orders and results', () => {
+  const message = [
+    'H|\\^&',
+    'P|1|PAT1|||DOE^JOHN',
+    'O|1|S001||^^^GLU',
+    'R|1|^^^GLU|5.4',
+    'O|2|S002||^^^TSH',
+    'R|1|^^^TSH|2.5',
+    'P|2|PAT2|||ROE^JANE',
+    'O|1|S003||^^^GLU',
+    'R|1|^^^GLU|6.1',
+    'L|1|N'
+  ].join('\r') + '\r';
+
+  const [astm] = parser.parse(message).messages;
+  assert.strictEqual(astm.terminator.status, 'N');
+  assert.deepStrictEqual(astm.patients.map(p => p.practiceId), ['PAT1', 'PAT2']);
+  assert.deepStrictEqual(astm.patients[0].orders.map(o => o.specimenId), ['S001', 'S002']);
+  assert.deepStrictEqual(astm.patients[0].orders[1].results.map(r => [r.testCode, r.value]), [['TSH', '2.5']]);
+  assert.deepStrictEqual(astm.patients[1].orders[0].results.map(r => r.value), ['6.1']);
+});
+
+test('ASTM records without a parent get an implicit patient and order', () => {
+  const message = [
+    'H|\\^&',
+    'R|1|^^^GLU|5.4',
+    'O|1|S001||^^^TSH',
+    'R|1|^^^TSH|2.5',
+    'L|1|N',
+    'H|\\^&',
+    'O|1|S002||^^^GLU',
+    'L|1|N'
+  ].join('\r') + '\r';
+
+  const [first, second] = parser.parse(message).messages;
+  assert.strictEqual(first.patients.length, 1);
+  const [implicit, explicit] = first.patients[0].orders;
+  assert.strictEqual(first.patients[0].implicit, true);
+  assert.strictEqual(implicit.implicit, true);
+  assert.strictEqual(implicit.results[0].testCode, 'GLU');
+  assert.strictEqual(explicit.specimenId, 'S001');
+  assert.strictEqual(explicit.results[0].testCode, 'TSH');
+
+  // A new header starts a new patient
+  assert.strictEqual(second.patients.length, 1);
+  assert.strictEqual(second.patients[0].implicit, true);
+  assert.strictEqual(second.patients[0].orders[0].specimenId, 'S002');
+});
+
+test('ASTM comment and manufacturer records attach to the record they follow', () => {
+  const message = [
+    'H|\\^&',
+    'C|1|I|Instrument^serviced|G',
+    'P|1|PAT1',
+    'C|1|P|Fasting|G',
+    'O|1|S001||^^^GLU',
+    'M|1|QC|LOT&F&42||',
+    'R|1|^^^GLU|5.4',
+    'C|1|I|^Reagent lot^12345|I',
+    'R|2|^^^TSH|2.5',
+    'L|1|N'
+  ].join('\r') + '\r';
+
+  const [astm] = parser.parse(message).messages;
+  assert.deepStrictEqual(astm.comments.map(c => c.text), ['Instrument serviced']);
+
+  const [patient] = astm.patients;
+  assert.deepStrictEqual(patient.comments, [{ type: 'comment', sequence: '1', source: 'P', text: 'Fasting', commentType: 'G' }]);
+
+  const [order] = patient.orders;
+  assert.deepStrictEqual(order.manufacturerRecords, [{ type: 'manufacturer', sequence: '1', recordTypeId: 'QC', fields: ['LOT|42', '', ''] }]);
+
+  const [glu, tsh] = order.results;
+  assert.deepStrictEqual(glu.comments.map(c => [c.source, c.text, c.commentType]), [['I', 'Reagent lot 12345', 'I']]);
+  assert.deepStrictEqual(tsh.comments, []);
+});
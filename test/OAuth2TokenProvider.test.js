@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const OAuth2TokenProvider = require('../src/lib/OAuth2TokenProvider');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+
+function createProvider(respond, options = {}) {
+  const provider = new OAuth2TokenProvider({
+    tokenUrl: 'https://auth.example.com/token',
+    clientId: 'agent',
+    clientSecret: 'secret'
+  }, logger, options);
+  provider.requests = 0;
+  provider.client = {
+    post: async () => {
+      provider.requests++;
+      return respond();
+    }
+  };
+  return provider;
+}
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { error: 'invalid_client' } };
+  return error;
+}
+
+test('a rejected client is not asked again before authPauseMs', async () => {
+  const provider = createProvider(() => { throw httpError(401); }, { authPauseMs: 60000 });
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(provider.getToken(), error => error.category === 'auth' && error.tokenEndpoint);
+  }
+  assert.strictEqual(provider.requests, 1);
+  assert.ok(provider.status().nextRequestAt);
+});
+
+test('a token endpoint outage is cached for the retry delay', async () => {
+  let fail = true;
+  const provider = createProvider(() => {
+    if (fail) throw httpError(503);
+    return { data: { access_token: 'token-1', expires_in: 3600 } };
+  }, { failureBackoffMs: 20 });
+
+  await assert.rejects(provider.getToken(), error => error.category === 'retryable' && error.retryAfterMs > 0);
+  await assert.rejects(provider.getToken());
+  assert.strictEqual(provider.requests, 1);
+
+  fail = false;
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(await provider.getToken(), 'token-1');
+  assert.strictEqual(provider.requests, 2);
+  assert.strictEqual(provider.status().lastError, null);
+  assert.strictEqual(provider.status().nextRequestAt, null);
+});
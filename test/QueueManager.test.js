@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QueueManager = require('../src/lib/QueueManager');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createQueue(t, retry = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-queue-'));
+  const config = {
+    queue: { dir, file: path.join(dir, 'queue.json'), sendIntervalMs: 0 },
+    retry: { maxRetries: 5, delayMs: 1, jitter: false, ...retry }
+  };
+  const queueManager = new QueueManager(config, logger);
+  t.after(() => {
+    queueManager.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return queueManager;
+}
+
+function authError() {
+  const error = new Error('Request failed with status code 401');
+  error.category = 'auth';
+  error.status = 401;
+  error.retryable = true;
+  return error;
+}
+
+test('an auth failure pauses delivery until authPauseMs has passed', async (t) => {
+  const queueManager = createQueue(t, { authPauseMs: 200 });
+  queueManager.add({ Orders: [{ SpecimenID: 'S001' }] });
+  await sleep(5);
+
+  let attempts = 0;
+  queueManager.sendFn = async () => {
+    attempts++;
+    throw authError();
+  };
+  await queueManager.process();
+  assert.strictEqual(attempts, 1);
+  assert.strictEqual(queueManager.isPaused(), true);
+  assert.strictEqual(queueManager.queue[0].attempts, 0, 'auth failures do not use up retries');
+
+  // Results arriving meanwhile are queued without an attempt
+  queueManager.add({ Orders: [{ SpecimenID: 'S002' }] }, { reason: `delivery paused: ${queueManager.pausedReason}` });
+  await sleep(5);
+  await queueManager.process();
+  assert.strictEqual(attempts, 1);
+  assert.strictEqual(queueManager.size(), 2);
+});
+
+test('a successful probe after the auth pause resumes delivery', async (t) => {
+  const queueManager = createQueue(t, { authPauseMs: 20 });
+  queueManager.add({ Orders: [{ SpecimenID: 'S001' }] });
+  queueManager.add({ Orders: [{ SpecimenID: 'S002' }] });
+  queueManager.handleAuthFailure(authError());
+  assert.strictEqual(queueManager.isPaused(), true);
+
+  const delivered = [];
+  queueManager.sendFn = async (data) => {
+    delivered.push(data.Orders[0].SpecimenID);
+    return true;
+  };
+  await sleep(30);
+  await queueManager.process();
+  assert.deepStrictEqual(delivered, ['S001', 'S002']);
+  assert.strictEqual(queueManager.isPaused(), false);
+  assert.strictEqual(queueManager.size(), 0);
+});
+
+test('items a corrupt journal record may have delivered go to dead letters', (t) => {
+  const queueManager = createQueue(t);
+  const first = queueManager.add({ Orders: [{ SpecimenID: 'S001' }] });
+  queueManager.add({ Orders: [{ SpecimenID: 'S002' }] });
+  queueManager.remove(queueManager.queue.find(item => item.id === first));
+  queueManager.stop();
+
+  const segment = path.join(queueManager.queueDir, '000001.log');
+  const lines = fs.readFileSync(segment, 'utf8').split('\n');
+  const del = lines.findIndex(line => line.includes('"op":"del"'));
+  lines[del] = lines[del].replace('"op":"del"', '"op":"dEl"');
+  fs.writeFileSync(segment, lines.join('\n'));
+
+  const deadLettered = [];
+  const reopened = new QueueManager(queueManager.config, logger, {
+    deadLetters: { add: (reason, item) => deadLettered.push({ reason, item }) }
+  });
+  t.after(() => reopened.stop());
+
+  assert.deepStrictEqual(reopened.queue.map(item => item.data.Orders[0].SpecimenID), ['S002']);
+  assert.strictEqual(deadLettered.length, 1);
+  assert.strictEqual(deadLettered[0].reason, 'journal_corrupt');
+  assert.strictEqual(deadLettered[0].item.data.Orders[0].SpecimenID, 'S001');
+});
+
+test('flush reports a pass that is already running', async (t) => {
+  const queueManager = createQueue(t);
+  queueManager.add({ Orders: [{ SpecimenID: 'S001' }] });
+
+  let release;
+  queueManager.sendFn = () => new Promise(resolve => { release = resolve; });
+  const running = queueManager.flush();
+  await sleep(5);
+
+  const result = await queueManager.flush();
+  assert.strictEqual(result.flushed, false);
+  assert.match(result.reason, /already running/);
+
+  release(true);
+  assert.deepStrictEqual(await running, { flushed: true, attempted: 1, size: 0 });
+});
+
+test('an unreadable inbox file is set aside instead of retried', (t) => {
+  const queueManager = createQueue(t);
+  fs.mkdirSync(queueManager.inboxDir, { recursive: true });
+  fs.writeFileSync(path.join(queueManager.inboxDir, '1-bad.json'), '{"data":');
+  fs.writeFileSync(path.join(queueManager.inboxDir, '2-good.json'), JSON.stringify({ data: { Orders: [{ SpecimenID: 'S001' }] } }));
+
+  queueManager.importInbox();
+  assert.deepStrictEqual(queueManager.queue.map(item => item.data.Orders[0].SpecimenID), ['S001']);
+  assert.deepStrictEqual(fs.readdirSync(queueManager.inboxDir), ['1-bad.json.failed']);
+
+  queueManager.importInbox();
+  assert.strictEqual(queueManager.size(), 1);
+});
+
+test('an inbox file left behind after its item was persisted is not imported again', (t) => {
+  const queueManager = createQueue(t);
+  const item = JSON.stringify({ data: { Orders: [{ SpecimenID: 'S001' }] } });
+  fs.mkdirSync(queueManager.inboxDir, { recursive: true });
+  fs.writeFileSync(path.join(queueManager.inboxDir, 'review-1.json'), item);
+  queueManager.importInbox();
+  assert.strictEqual(queueManager.size(), 1);
+
+  // As if removing the claimed file had failed
+  const claimed = path.join(queueManager.inboxDir, 'review-1.json.importing');
+  fs.writeFileSync(claimed, item);
+  queueManager.stop();
+  const reopened = new QueueManager(queueManager.config, logger);
+  t.after(() => reopened.stop());
+  assert.strictEqual(reopened.size(), 1);
+  assert.strictEqual(fs.existsSync(claimed), false);
+});
+
+test('a claimed inbox file whose item never reached the journal is imported', (t) => {
+  const queueManager = createQueue(t);
+  fs.mkdirSync(queueManager.inboxDir, { recursive: true });
+  fs.writeFileSync(path.join(queueManager.inboxDir, 'review-1.json.importing'), JSON.stringify({ data: { Orders: [{ SpecimenID: 'S001' }] } }));
+
+  queueManager.importInbox();
+  assert.strictEqual(queueManager.size(), 1);
+  assert.strictEqual(queueManager.queue[0].inboxFile, 'review-1.json');
+  assert.deepStrictEqual(fs.readdirSync(queueManager.inboxDir), []);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RawArchive = require('../src/lib/RawArchive');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+
+function createArchive(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-archive-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new RawArchive({ archive: { dir } }, logger);
+}
+
+test('replay requests are removed once handled', (t) => {
+  const archive = createArchive(t);
+  const id = archive.append({ raw: 'H|\\^&\rL|1|N\r', instrumentId: 'analyzer-1' });
+  assert.strictEqual(archive.requestReplay(id, 'operator'), true);
+
+  const handled = [];
+  assert.strictEqual(archive.handleReplayRequests(entry => handled.push(entry)), 1);
+  assert.strictEqual(handled[0].id, id);
+  assert.strictEqual(handled[0].requestedBy, 'operator');
+  assert.match(handled[0].requestId, /^\d+-[0-9a-f]{6}$/);
+  assert.deepStrictEqual(fs.readdirSync(archive.replayDir), []);
+});
+
+test('failed replay requests are set aside and do not stop the others', (t) => {
+  const archive = createArchive(t);
+  const first = archive.append({ raw: 'first' });
+  const second = archive.append({ raw: 'second' });
+  archive.requestReplay(first);
+  archive.requestReplay(second);
+  fs.writeFileSync(path.join(archive.replayDir, '0-corrupt.json'), '{"id":');
+
+  const handled = [];
+  const count = archive.handleReplayRequests(entry => {
+    if (entry.id === first) throw new Error('pipeline failed');
+    handled.push(entry.id);
+  });
+
+  assert.strictEqual(count, 1);
+  assert.deepStrictEqual(handled, [second]);
+  assert.deepStrictEqual(fs.readdirSync(archive.replayDir).sort(), ['0-corrupt.json.failed', `${first}.json.failed`]);
+
+  // Set-aside requests are not picked up again
+  assert.strictEqual(archive.handleReplayRequests(() => assert.fail('handled twice')), 0);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ReviewStore = require('../src/lib/ReviewStore');
+const QueueManager = require('../src/lib/QueueManager');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+
+function patient(specimenId, code) {
+  return { PatientName: 'DOE^JOHN', Orders: [{ SpecimenID: specimenId, Results: [{ UniversalTestID: code, ResultValue: '1.2' }] }] };
+}
+
+test('released entries are queued by the agent with their context', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-review-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const config = { review: { dir: path.join(dir, 'review') }, queue: { dir: path.join(dir, 'queue'), sendIntervalMs: 0 } };
+  const store = new ReviewStore(config, logger);
+
+  const id = store.add({
+    reason: 'unmapped_test_codes',
+    instrumentId: 'analyzer-1',
+    connectionId: 'COM3',
+    payload: [patient('S001', 'XTSH')],
+    details: { raw: 'H|\\^&\r', messageId: 'abc123' }
+  });
+  const remapped = [patient('S001', 'TSH3')];
+  assert.strictEqual(store.release(id, QueueManager.inboxDir(config), { payload: remapped, requestedBy: 'tech' }), true);
+  assert.strictEqual(store.get(id), null);
+  assert.strictEqual(store.release(id, QueueManager.inboxDir(config)), false);
+
+  const queueManager = new QueueManager(config, logger);
+  t.after(() => queueManager.stop());
+  assert.strictEqual(queueManager.size(), 1);
+  const item = queueManager.queue[0];
+  assert.deepStrictEqual(item.data, remapped);
+  assert.deepStrictEqual(item.context, { raw: 'H|\\^&\r', instrumentId: 'analyzer-1', connectionId: 'COM3', messageId: 'abc123' });
+  assert.strictEqual(item.history.at(-1).reviewId, id);
+  assert.strictEqual(item.history.at(-1).by, 'tech');
+});
+
+test('a held replay keeps its own idempotency key when released', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-review-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const config = { review: { dir: path.join(dir, 'review') }, queue: { dir: path.join(dir, 'queue'), sendIntervalMs: 0 } };
+  const store = new ReviewStore(config, logger);
+
+  const id = store.add({
+    reason: 'unmapped_test_codes',
+    instrumentId: 'analyzer-1',
+    payload: [patient('S001', 'XTSH')],
+    details: { messageId: 'abc123', idempotencyKey: 'abc123:replay:req-1' }
+  });
+  store.release(id, QueueManager.inboxDir(config));
+
+  const queueManager = new QueueManager(config, logger);
+  t.after(() => queueManager.stop());
+  assert.strictEqual(queueManager.queue[0].context.idempotencyKey, 'abc123:replay:req-1');
+});
+
+test('entries are written without leaving temporary files', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-review-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new ReviewStore({ review: { dir } }, logger);
+
+  const id = store.add({ reason: 'unmapped_test_codes', instrumentId: 'analyzer-1', payload: [patient('S001', 'XTSH')] });
+  assert.strictEqual(store.reseal(id), true);
+  assert.deepStrictEqual(fs.readdirSync(dir), [`${id}.json`]);
+  assert.strictEqual(store.get(id).payload[0].Orders[0].SpecimenID, 'S001');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { once } = require('events');
+const TcpReader = require('../src/lib/TcpReader');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+
+test('connect rejects when the port is already in use', async (t) => {
+  const blocker = net.createServer();
+  blocker.listen(0);
+  await once(blocker, 'listening');
+  t.after(() => blocker.close());
+
+  const reader = new TcpReader({ port: blocker.address().port, framing: 'mllp' }, logger);
+  await assert.rejects(reader.connect(), { code: 'EADDRINUSE' });
+  assert.strictEqual(reader.server, null);
+});
+
+test('a second client is refused while an instrument is connected', async (t) => {
+  const reader = new TcpReader({ port: 0, framing: 'mllp' }, logger);
+  await reader.connect();
+  t.after(() => reader.disconnect());
+  const port = reader.server.address().port;
+
+  const first = net.connect(port, '127.0.0.1');
+  t.after(() => first.destroy());
+  await once(reader, 'connect');
+
+  const second = net.connect(port, '127.0.0.1');
+  await once(second, 'close');
+  assert.strictEqual(reader.socket.remotePort, first.localPort);
+
+  first.write('\x0BMSH|^~\\&|ANALYZER\r\x1C\r');
+  const [message] = await once(reader, 'data');
+  assert.strictEqual(message, 'MSH|^~\\&|ANALYZER\r');
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TestCodeMapper = require('../src/lib/TestCodeMapper');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+
+/**
+ * Mapper for instrument analyzer-1 with one mapping file
+ */
+function createMapper(t, name, content, unmappedPolicy) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-mapping-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return new TestCodeMapper({ instruments: [{ id: 'analyzer-1', testMapping: { file, unmappedPolicy } }] }, logger);
+}
+
+const patients = (...results) => [{
+  PatientName: 'DOE^JOHN',
+  Orders: [{
+    SpecimenID: 'S001',
+    UniversalTestID: results[0][0],
+    Results: results.map(([code, value]) => ({ UniversalTestID: code, ResultValue: value, Unit: 'x' }))
+  }]
+}];
+
+test('a CSV table maps codes, units and precision', (t) => {
+  const mapper = createMapper(t, 'mapping.csv', [
+    '# instrument codes for analyzer-1',
+    'instrumentCode,lisCode,unit,decimals',
+    'TSH,TSH3,mIU/L,2',
+    'glu,GLUC,,',
+    ''
+  ].join('\r\n'));
+
+  const { patients: mapped, held, rejected, policy } = mapper.mapPatients(patients(['TSH', '2.5'], ['GLU', '<0.5']), 'analyzer-1');
+  assert.strictEqual(policy, 'forward');
+  assert.deepStrictEqual(held, []);
+  assert.deepStrictEqual(rejected, []);
+
+  const [order] = mapped[0].Orders;
+  assert.strictEqual(order.UniversalTestID, 'TSH3');
+  assert.deepStrictEqual(order.Results.map(r => [r.UniversalTestID, r.ResultValue, r.Unit]), [
+    ['TSH3', '2.50', 'mIU/L'],
+    ['GLUC', '<0.5', 'x']
+  ]);
+});
+
+test('JSON tables may be arrays or objects keyed by instrument code', (t) => {
+  const array = createMapper(t, 'mapping.json', [{ instrumentCode: 'TSH', lisCode: 'TSH3', decimals: 1 }]);
+  assert.strictEqual(array.mapPatients(patients(['tsh', '2.54']), 'analyzer-1').patients[0].Orders[0].Results[0].ResultValue, '2.5');
+
+  const object = createMapper(t, 'mapping.json', { TSH: 'TSH3', FT4: { lisCode: 'FT4X', unit: 'ng/dL' } });
+  const [order] = object.mapPatients(patients(['TSH', '2.5'], ['FT4', '1.2']), 'analyzer-1').patients[0].Orders;
+  assert.deepStrictEqual(order.Results.map(r => [r.UniversalTestID, r.Unit]), [['TSH3', 'x'], ['FT4X', 'ng/dL']]);
+});
+
+test('unmapped results are forwarded, held or rejected per policy', (t) => {
+  const table = { TSH: 'TSH3' };
+  const results = patients(['TSH', '2.5'], ['XYZ', '1.0']);
+
+  const forwarded = createMapper(t, 'mapping.json', table, 'forward').mapPatients(results, 'analyzer-1');
+  assert.deepStrictEqual(forwarded.patients[0].Orders[0].Results.map(r => r.UniversalTestID), ['TSH3', 'XYZ']);
+
+  const held = createMapper(t, 'mapping.json', table, 'hold').mapPatients(results, 'analyzer-1');
+  assert.deepStrictEqual(held.patients[0].Orders[0].Results.map(r => r.UniversalTestID), ['TSH3']);
+  assert.deepStrictEqual(held.held[0].Orders[0].Results.map(r => r.UniversalTestID), ['XYZ']);
+  assert.strictEqual(held.held[0].PatientName, 'DOE^JOHN');
+  assert.deepStrictEqual(held.rejected, []);
+
+  const rejected = createMapper(t, 'mapping.json', table, 'reject').mapPatients(patients(['XYZ', '1.0']), 'analyzer-1');
+  assert.deepStrictEqual(rejected.patients, []);
+  assert.deepStrictEqual(rejected.rejected[0].Orders[0].Results.map(r => r.UniversalTestID), ['XYZ']);
+
+  // An unknown policy falls back to forwarding
+  const unknown = createMapper(t, 'mapping.json', table, 'drop');
+  assert.strictEqual(unknown.mapPatients(results, 'analyzer-1').policy, 'forward');
+});
+
+test('instruments without a table are passed through and order codes map back', (t) => {
+  const mapper = createMapper(t, 'mapping.json', { TSH: 'TSH3' });
+  const results = patients(['TSH', '2.5']);
+  assert.strictEqual(mapper.mapPatients(results, 'analyzer-2').patients, results);
+  assert.strictEqual(mapper.hasTable('analyzer-1'), true);
+  assert.strictEqual(mapper.hasTable('analyzer-2'), false);
+
+  assert.strictEqual(mapper.toInstrumentCode('analyzer-1', 'tsh3'), 'TSH');
+  assert.strictEqual(mapper.toInstrumentCode('analyzer-1', 'GLUC'), 'GLUC');
+  assert.strictEqual(mapper.toInstrumentCode('analyzer-2', 'TSH3'), 'TSH3');
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LISAgent = require('../src/agent');
+const MessageParser = require('../src/lib/MessageParser');
+const TestCodeMapper = require('../src/lib/TestCodeMapper');
+const DuplicateWindow = require('../src/lib/DuplicateWindow');
+const DriverRegistry = require('../src/drivers/DriverRegistry');
+
+const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} };
+const parser = new MessageParser(logger);
+
+function createAgent() {
+  const agent = Object.create(LISAgent.prototype);
+  agent.logger = logger;
+  return agent;
+}
+
+/**
+ * Agent running handleDataWithContext against in-memory stores; instrument
+ * analyzer-1 maps GLU only and rejects other codes
+ */
+function createPipeline(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lis-agent-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'mapping.json');
+  fs.writeFileSync(file, JSON.stringify({ GLU: 'GLUC' }));
+
+  const agent = createAgent();
+  Object.assign(agent, {
+    parser,
+    drivers: new DriverRegistry(logger),
+    readers: [],
+    testCodeMapper: new TestCodeMapper({ instruments: [{ id: 'analyzer-1', testMapping: { file, unmappedPolicy: 'reject' } }] }, logger),
+    duplicateWindow: new DuplicateWindow({}, logger),
+    rawArchive: { append: () => 'archive-1' },
+    auditLog: { record: () => {}, recordItem: () => {} },
+    stats: { messagesReceived: 0, parseErrors: 0, duplicatesSuppressed: 0, sent: 0, sendErrors: 0 },
+    lastMessages: new Map(),
+    acks: [],
+    sent: []
+  });
+  agent.acknowledgeHL7 = (connectionId, parsed, code) => agent.acks.push(code);
+  agent.sendOrQueue = async (patients, context) => {
+    agent.sent.push({ patients, context });
+    return { sent: true, queued: false, setAside: false, paused: null };
+  };
+  return agent;
+}
+
+const astmResult = (code) => [
+  'H|\\^&|||ANALYZER|||||||P|1|20240101120000',
+  'P|1|PAT1|||DOE^JOHN',
+  'O|1|S001||^^^' + code,
+  `R|1|^^^${code}|5.4|mmol/L||N||F`,
+  'L|1|N'
+].join('\r') + '\r';
+
+test('an ASTM order without a specimen id is not filed under another order\'s specimen', () => {
+  const message = [
+    'H|\\^&|||ANALYZER|||||||P|1|20240101120000',
+    'P|1|PAT1|||DOE^JOHN',
+    'O|1|S001||^^^GLU',
+    'R|1|^^^GLU|5.4|mmol/L||N||F',
+    'P|2|PAT2|||ROE^JANE',
+    'O|1|||^^^GLU',
+    'R|1|^^^GLU|9.8|mmol/L||H||F',
+    'L|1|N'
+  ].join('\r') + '\r';
+
+  const parsed = parser.parse(message);
+  assert.strictEqual(parsed.sampleId, 'S001');
+
+  const patients = createAgent().transformASTMToBackendFormat(parsed);
+  assert.strictEqual(patients.length, 1);
+  assert.strictEqual(patients[0].PracticePatientID, 'PAT1');
+  assert.deepStrictEqual(patients[0].Orders.map(o => o.SpecimenID), ['S001']);
+  assert.deepStrictEqual(patients[0].Orders[0].Results.map(r => r.ResultValue), ['5.4']);
+});
+
+test('a single ASTM order falls back to the message sample id', () => {
+  const message = [
+    'H|\\^&|||ANALYZER|||||||P|1|20240101120000',
+    'P|1|PAT1|||DOE^JOHN',
+    'O|1|||^^^GLU',
+    'R|1|^^^GLU|5.4|mmol/L||N||F',
+    'L|1|N'
+  ].join('\r') + '\r';
+
+  const patients = createAgent().transformASTMToBackendFormat(parser.parse(message));
+  assert.deepStrictEqual(patients.map(p => p.Orders[0].SpecimenID), ['PAT1']);
+});
+
+test('ASTM comment and manufacturer records are forwarded with their order and result', () => {
+  const message = [
+    'H|\\^&|||ANALYZER|||||||P|1|20240101120000',
+    'P|1|PAT1|||DOE^JOHN',
+    'O|1|S001||^^^GLU',
+    'C|1|L|Hemolyzed^sample|G',
+    'M|1|QC|LOT 42',
+    'R|1|^^^GLU|5.4|mmol/L||N||F',
+    'C|1|I|Above linearity|I',
+    'L|1|N'
+  ].join('\r') + '\r';
+
+  const [order] = createAgent().transformASTMToBackendFormat(parser.parse(message))[0].Orders;
+  assert.deepStrictEqual(order.Comments, [
+    { Text: 'Hemolyzed sample', Source: 'L', Type: 'G' },
+    { Text: 'LOT 42', Source: 'I', Type: 'M:QC' }
+  ]);
+  assert.deepStrictEqual(order.Results[0].Comments, [{ Text: 'Above linearity', Source: 'I', Type: 'I' }]);
+});
+
+test('a message whose results were all rejected is not remembered as a duplicate', async (t) => {
+  const agent = createPipeline(t);
+  const rejected = astmResult('XGLU');
+  const messageId = agent.computeMessageId(parser.parse(rejected), 'analyzer-1');
+
+  await agent.handleDataWithContext(rejected, 'analyzer-1', 'COM1');
+  assert.deepStrictEqual(agent.acks, ['AR']);
+  assert.strictEqual(agent.duplicateWindow.has(messageId), false);
+
+  // Accepted results are - a resend is suppressed
+  const accepted = astmResult('GLU');
+  await agent.handleDataWithContext(accepted, 'analyzer-1', 'COM1');
+  await agent.handleDataWithContext(accepted, 'analyzer-1', 'COM1');
+  assert.deepStrictEqual(agent.acks, ['AR', 'AA', 'AA']);
+  assert.strictEqual(agent.sent.length, 1);
+  assert.strictEqual(agent.stats.duplicatesSuppressed, 1);
+});
+
+test('an archive replay is sent with its own idempotency key', async (t) => {
+  const agent = createPipeline(t);
+  const raw = astmResult('GLU');
+  await agent.handleDataWithContext(raw, 'analyzer-1', 'COM1');
+  await agent.handleDataWithContext(raw, 'analyzer-1', 'COM1', { replayOf: 'archive-0', replayRequestId: 'req-1' });
+  await agent.handleDataWithContext(raw, 'analyzer-1', 'COM1', { replayOf: 'archive-0', replayRequestId: 'req-2' });
+
+  const [original, first, second] = agent.sent.map(s => s.context);
+  assert.strictEqual(original.idempotencyKey, undefined);
+  assert.strictEqual(first.messageId, original.messageId);
+  assert.strictEqual(first.idempotencyKey, `${original.messageId}:replay:req-1`);
+  assert.strictEqual(second.idempotencyKey, `${original.messageId}:replay:req-2`);
+  assert.deepStrictEqual(agent.acks, ['AA']);
+});
+
+test('the ACK waits for the results to be stored', async (t) => {
+  const agent = createPipeline(t);
+  let release;
+  agent.sendOrQueue = () => new Promise(resolve => { release = resolve; });
+
+  const handled = agent.handleDataWithContext(astmResult('GLU'), 'analyzer-1', 'COM1');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(agent.acks, []);
+
+  release({ sent: false, queued: true, setAside: false, paused: null });
+  await handled;
+  assert.deepStrictEqual(agent.acks, ['AA']);
+});
+
+test('results that could not be queued are not accepted', async (t) => {
+  const agent = createPipeline(t);
+  agent.sendOrQueue = async () => ({ sent: false, queued: false, setAside: false, paused: null });
+  const raw = astmResult('GLU');
+
+  await agent.handleDataWithContext(raw, 'analyzer-1', 'COM1');
+  assert.deepStrictEqual(agent.acks, ['AE']);
+  assert.strictEqual(agent.duplicateWindow.has(agent.computeMessageId(parser.parse(raw), 'analyzer-1')), false);
+});
+
+test('HL7 results map name components and the OBX-7 reference range', () => {
+  const agent = createAgent();
+  agent.parser = parser;
+  agent.drivers = new DriverRegistry(logger);
+  const message = [
+    'MSH|^~\\&|ANALYZER|LAB|LIS|HOSP|20240101120000||ORU^R01|42|P|2.5',
+    'PID|1|PAT100|LAB200^^^HOSP||DOE^JOHN^Q||19800101|M',
+    'OBR|1|PLACER1|S001|TSH',
+    'OBX|1|NM|TSH^Thyroid stimulating hormone||2.5|mIU/L|0.4-4.0|N|||F'
+  ].join('\r') + '\r';
+
+  const [patient] = agent.transformToBackendFormat(parser.parse(message));
+  assert.strictEqual(patient.PatientName, 'DOE JOHN Q');
+  assert.strictEqual(patient.PracticePatientID, 'PAT100');
+  assert.strictEqual(patient.LabPatientID, 'LAB200');
+  assert.strictEqual(patient.DOB, '19800101');
+  assert.strictEqual(patient.Orders[0].SpecimenID, 'S001');
+  assert.deepStrictEqual(patient.Orders[0].Results, [
+    { UniversalTestID: 'TSH', ResultValue: '2.5', Unit: 'mIU/L', RefRange: '0.4-4.0', Abnormal: 'N' }
+  ]);
+});